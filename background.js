@@ -0,0 +1,32 @@
+// Libraries for less common formats are injected on first use instead of into every Front page.
+// Files are looked up here by name, so a page can't ask for anything else to be injected.
+const LIBRARIES = {
+  'pdf-lib': ['libs/pdf-lib/pdf-lib.min.js'],
+  utif: ['libs/pako/pako_inflate.min.js', 'libs/utif/UTIF.js'],
+  libheif: ['libs/libheif/libheif.js'],
+  highlight: ['libs/highlight/highlight.min.js'],
+  mammoth: ['libs/mammoth/mammoth.browser.min.js'],
+  fflate: ['libs/fflate/fflate.min.js'],
+  ssf: ['libs/ssf/ssf.js'],
+  cfb: ['libs/cfb/cfb.min.js']
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.type !== 'load-library' || !sender.tab) return false;
+  
+  const files = LIBRARIES[message.name];
+  if (!files) {
+    sendResponse({ ok: false });
+    return false;
+  }
+  
+  // Same isolated world as the content script, so the libraries' globals are visible to it
+  chrome.scripting.executeScript({
+    target: { tabId: sender.tab.id, frameIds: [sender.frameId] },
+    files
+  }).then(
+    () => sendResponse({ ok: true }),
+    () => sendResponse({ ok: false })
+  );
+  return true;
+});
@@ -22,6 +22,7 @@ const CONSTANTS = {
   TIMING: {
     SCAN_THROTTLE_INTERVAL: 250,
     NOTIFICATION_TIMEOUT: 12000,
+    DOWNLOAD_ERROR_TIMEOUT: 6000,
     PRELOAD_QUEUE_DELAY: 100,
     PRELOAD_SUCCESS_DELAY: 200,
     PDF_RERENDER_DELAY: 500,
@@ -34,11 +35,98 @@ const CONSTANTS = {
     STEP: 0.25,
     DEFAULT: 1,
     HIGH_QUALITY_THRESHOLD: 2.0,
-    RERENDER_THRESHOLD: 0.5
+    RERENDER_THRESHOLD: 0.5,
+    FIT_MARGIN: 16,
+    WHEEL_SENSITIVITY: 0.01,
+    MAX_WHEEL_FACTOR: 1.25
+  },
+  PAN: {
+    DRAG_THRESHOLD: 4,
+    VELOCITY_WINDOW: 100,
+    FRICTION: 0.95,
+    MIN_VELOCITY: 0.02
   },
   PDF_RENDERING: {
     BASE_SCALE: 1.5,
-    MAX_QUALITY_MULTIPLIER: 2
+    MAX_QUALITY_MULTIPLIER: 2,
+    PRERENDER_MARGIN: '150% 0px',
+    KEEP_RENDERED_DISTANCE: 3,
+    // pdfjsLib doesn't export AnnotationType
+    ANNOTATION_TYPES: {
+      LINK: 2,
+      WIDGET: 20
+    }
+  },
+  THUMBNAILS: {
+    WIDTH: 120,
+    PRERENDER_MARGIN: '200px 0px',
+    MAX_PIXEL_RATIO: 2
+  },
+  IMAGE_METADATA: {
+    XMP_SCAN_BYTES: 262144
+  },
+  TEXT_PREVIEW: {
+    MAX_SIZE: 50 * 1024 * 1024,
+    SNIFF_BYTES: 4096,
+    HIGHLIGHT_MAX_SIZE: 512 * 1024,
+    PRETTY_PRINT_LINE_LENGTH: 300,
+    LINE_HEIGHT: 20,
+    FONT_SIZE: 13,
+    OVERSCAN_LINES: 40,
+    TAB_SIZE: 4
+  },
+  TABLE_PREVIEW: {
+    ROW_HEIGHT: 28,
+    FONT_SIZE: 13,
+    OVERSCAN_ROWS: 30,
+    CHAR_WIDTH: 7.5,
+    MIN_COLUMN_WIDTH: 60,
+    MAX_COLUMN_WIDTH: 320,
+    WIDTH_SAMPLE_ROWS: 200,
+    FILTER_DEBOUNCE: 200
+  },
+  EMAIL_PREVIEW: {
+    MAX_MIME_DEPTH: 20
+  },
+  ARCHIVE_PREVIEW: {
+    MAX_ENTRIES: 10000,
+    // Entries are unpacked one at a time, so this is what a single click may put in memory
+    MAX_ENTRY_SIZE: 200 * 1024 * 1024,
+    MAX_UNZIPPED_SIZE: 4 * 1024 * 1024 * 1024,
+    // Ordinary files rarely compress past 20:1; bombs sit near deflate's limit of about 1000:1
+    MAX_COMPRESSION_RATIO: 200,
+    MIN_RATIO_CHECK_SIZE: 1024 * 1024
+  },
+  SPREADSHEET_PREVIEW: {
+    MAX_UNZIPPED_SIZE: 200 * 1024 * 1024,
+    DEFAULT_COLUMN_WIDTH: 64,
+    MAX_FROZEN_ROWS: 10,
+    MAX_COLUMNS: 1000,
+    // A repeated ODS row is copied out at most this many times; the rows after it still keep their place
+    MAX_REPEATED_ROWS: 1000
+  },
+  MEDIA_PREVIEW: {
+    PLAYBACK_RATES: [0.5, 0.75, 1, 1.25, 1.5, 2],
+    SEEK_STEP: 5,
+    LONG_SEEK_STEP: 10,
+    WAVEFORM_BARS: 240,
+    // Decoding needs the whole track as raw 32-bit samples in memory, which runs to about
+    // 20 MB per stereo minute however small the file is, so both the file and the track are capped
+    MAX_WAVEFORM_SIZE: 10 * 1024 * 1024,
+    MAX_WAVEFORM_DURATION: 10 * 60
+  },
+  SANDBOX_PREVIEW: {
+    MAX_SIZE: 20 * 1024 * 1024,
+    // Only what the file itself carries may load: inline styles and embedded data: images and fonts
+    CSP: "default-src 'none'; img-src data:; style-src 'unsafe-inline'; font-src data:; media-src data:; form-action 'none'",
+    DEFAULT_SVG_WIDTH: 300,
+    DEFAULT_SVG_HEIGHT: 150
+  },
+  CONVERSATION_SEARCH: {
+    SNIPPET_CONTEXT: 40,
+    MAX_HITS_PER_FILE: 50,
+    // Cells kept searchable per workbook; the rest of a larger workbook isn't searched from here
+    MAX_INDEXED_CELLS: 250000
   },
   SELECTORS: {
     CONVERSATION: '[data-testid="conversation"]',
@@ -51,7 +139,35 @@ const CONSTANTS = {
     IMAGE_JPEG: 'image/jpeg',
     IMAGE_PNG: 'image/png',
     IMAGE_GIF: 'image/gif',
-    IMAGE_WEBP: 'image/webp'
+    IMAGE_WEBP: 'image/webp',
+    IMAGE_TIFF: 'image/tiff',
+    IMAGE_BMP: 'image/bmp',
+    IMAGE_ICO: 'image/x-icon',
+    IMAGE_HEIC: 'image/heic',
+    IMAGE_HEIF: 'image/heif',
+    TEXT_PLAIN: 'text/plain',
+    TEXT_CSV: 'text/csv',
+    TEXT_TSV: 'text/tab-separated-values',
+    TEXT_MARKDOWN: 'text/markdown',
+    JSON: 'application/json',
+    XML: 'application/xml',
+    YAML: 'application/yaml',
+    DOCX: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    XLSX: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    XLSM: 'application/vnd.ms-excel.sheet.macroenabled.12',
+    ODS: 'application/vnd.oasis.opendocument.spreadsheet',
+    EML: 'message/rfc822',
+    MSG: 'application/vnd.ms-outlook',
+    ZIP: 'application/zip',
+    ZIP_LEGACY: 'application/x-zip-compressed',
+    AUDIO_MPEG: 'audio/mpeg',
+    AUDIO_WAV: 'audio/wav',
+    AUDIO_MP4: 'audio/mp4',
+    VIDEO_MP4: 'video/mp4',
+    VIDEO_WEBM: 'video/webm',
+    VIDEO_QUICKTIME: 'video/quicktime',
+    SVG: 'image/svg+xml',
+    HTML: 'text/html'
   },
   FILENAME: {
     MIN_LENGTH: 3,
@@ -66,7 +182,113 @@ const EXTENSION_TYPE_MAP = {
   jpeg: CONSTANTS.FILE_TYPES.IMAGE_JPEG,
   png: CONSTANTS.FILE_TYPES.IMAGE_PNG,
   gif: CONSTANTS.FILE_TYPES.IMAGE_GIF,
-  webp: CONSTANTS.FILE_TYPES.IMAGE_WEBP
+  webp: CONSTANTS.FILE_TYPES.IMAGE_WEBP,
+  tif: CONSTANTS.FILE_TYPES.IMAGE_TIFF,
+  tiff: CONSTANTS.FILE_TYPES.IMAGE_TIFF,
+  bmp: CONSTANTS.FILE_TYPES.IMAGE_BMP,
+  ico: CONSTANTS.FILE_TYPES.IMAGE_ICO,
+  heic: CONSTANTS.FILE_TYPES.IMAGE_HEIC,
+  heif: CONSTANTS.FILE_TYPES.IMAGE_HEIF,
+  txt: CONSTANTS.FILE_TYPES.TEXT_PLAIN,
+  log: CONSTANTS.FILE_TYPES.TEXT_PLAIN,
+  csv: CONSTANTS.FILE_TYPES.TEXT_CSV,
+  tsv: CONSTANTS.FILE_TYPES.TEXT_TSV,
+  md: CONSTANTS.FILE_TYPES.TEXT_MARKDOWN,
+  json: CONSTANTS.FILE_TYPES.JSON,
+  xml: CONSTANTS.FILE_TYPES.XML,
+  yml: CONSTANTS.FILE_TYPES.YAML,
+  yaml: CONSTANTS.FILE_TYPES.YAML,
+  docx: CONSTANTS.FILE_TYPES.DOCX,
+  xlsx: CONSTANTS.FILE_TYPES.XLSX,
+  xlsm: CONSTANTS.FILE_TYPES.XLSM,
+  ods: CONSTANTS.FILE_TYPES.ODS,
+  eml: CONSTANTS.FILE_TYPES.EML,
+  msg: CONSTANTS.FILE_TYPES.MSG,
+  zip: CONSTANTS.FILE_TYPES.ZIP,
+  mp3: CONSTANTS.FILE_TYPES.AUDIO_MPEG,
+  wav: CONSTANTS.FILE_TYPES.AUDIO_WAV,
+  m4a: CONSTANTS.FILE_TYPES.AUDIO_MP4,
+  mp4: CONSTANTS.FILE_TYPES.VIDEO_MP4,
+  webm: CONSTANTS.FILE_TYPES.VIDEO_WEBM,
+  mov: CONSTANTS.FILE_TYPES.VIDEO_QUICKTIME,
+  svg: CONSTANTS.FILE_TYPES.SVG,
+  html: CONSTANTS.FILE_TYPES.HTML,
+  htm: CONSTANTS.FILE_TYPES.HTML
+};
+
+// Syntax highlighting language by extension; config and source files often arrive as
+// application/octet-stream, so these also mark a file as text
+const TEXT_LANGUAGE_MAP = {
+  log: 'log',
+  json: 'json',
+  xml: 'xml',
+  md: 'markdown',
+  yml: 'yaml',
+  yaml: 'yaml',
+  ini: 'ini',
+  cfg: 'ini',
+  conf: 'ini',
+  toml: 'ini',
+  properties: 'ini',
+  js: 'javascript',
+  mjs: 'javascript',
+  ts: 'typescript',
+  py: 'python',
+  rb: 'ruby',
+  java: 'java',
+  kt: 'kotlin',
+  swift: 'swift',
+  c: 'c',
+  h: 'c',
+  cpp: 'cpp',
+  cs: 'csharp',
+  go: 'go',
+  rs: 'rust',
+  php: 'php',
+  sh: 'bash',
+  sql: 'sql',
+  css: 'css',
+  diff: 'diff',
+  patch: 'diff'
+};
+
+// Converted documents and email bodies are rebuilt from these; anything else is unwrapped
+// to its text, and dropped tags go together with their content
+const HTML_SANITIZER_RULES = {
+  ALLOWED_TAGS: new Set([
+    'a', 'abbr', 'address', 'b', 'big', 'blockquote', 'br', 'caption', 'center', 'cite', 'code',
+    'col', 'colgroup', 'dd', 'del', 'div', 'dl', 'dt', 'em', 'font', 'h1', 'h2', 'h3', 'h4', 'h5',
+    'h6', 'hr', 'i', 'img', 'ins', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'small', 'span',
+    'strike', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'tt',
+    'u', 'ul'
+  ]),
+  DROPPED_TAGS: new Set([
+    'applet', 'audio', 'base', 'button', 'embed', 'form', 'frame', 'frameset', 'head', 'iframe',
+    'input', 'link', 'math', 'meta', 'noscript', 'object', 'script', 'select', 'style', 'svg',
+    'template', 'textarea', 'title', 'video'
+  ]),
+  ALLOWED_ATTRIBUTES: {
+    '*': ['id', 'title', 'style', 'align', 'dir'],
+    a: ['href'],
+    font: ['color', 'face', 'size'],
+    img: ['src', 'alt', 'width', 'height'],
+    ol: ['start', 'type'],
+    table: ['border', 'cellpadding', 'cellspacing', 'width', 'bgcolor'],
+    td: ['colspan', 'rowspan', 'width', 'height', 'valign', 'bgcolor'],
+    th: ['colspan', 'rowspan', 'width', 'height', 'valign', 'bgcolor']
+  },
+  // Ids are namespaced so a document can't shadow the viewer's own elements
+  ID_PREFIX: 'front-content-',
+  // Inline styles keep email layouts readable; nothing that positions, loads or scripts gets through
+  // No shorthands that take images (background, list-style), and colour properties take colours only
+  STYLE_PROPERTIES: /^(color|background-color|font(-family|-size|-style|-weight)?|text-(align|decoration|transform|indent)|line-height|letter-spacing|white-space|vertical-align|display|list-style-type|(max-|min-)?(width|height)|(margin|padding)(-(top|right|bottom|left))?|border(-(top|right|bottom|left))?(-(width|style|color))?|border-(collapse|spacing|radius))$/i,
+  COLOR_PROPERTY: /color$/i,
+  COLOR_VALUE: /^\s*(#[0-9a-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%/]+\))\s*(!important)?\s*$/i,
+  // Anything that can name a resource: url(), image-set() and friends, and quoted strings
+  UNSAFE_STYLE_VALUE: /url\s*\(|image-set|image\s*\(|cross-fade|element\s*\(|expression\s*\(|javascript:|@import|["'\\<>]/i,
+  // Embedded images only: nothing in a document may make the browser fetch a URL
+  SAFE_LINK: /^(https?:|mailto:|tel:|#)/i,
+  SAFE_IMAGE: /^data:image\/(png|jpe?g|gif|webp|bmp)[;,]/i
 };
 
 class FrontAttachmentViewer {
@@ -79,6 +301,11 @@ class FrontAttachmentViewer {
     this.maxZoom = CONSTANTS.ZOOM.MAX;
     this.zoomStep = CONSTANTS.ZOOM.STEP;
     this.lastPdfRenderZoom = CONSTANTS.ZOOM.DEFAULT;
+    // 'auto', 'custom', 'fit-width', 'fit-page' or 'actual-size'; kept across attachments
+    this.zoomMode = 'auto';
+    this.zoomResizeObserver = null;
+    this.zoomTargetObserver = null;
+    this.zoomTarget = null;
     this.pdfRenderTimeout = null;
     this.searchMode = false;
     this.searchResults = [];
@@ -96,12 +323,93 @@ class FrontAttachmentViewer {
     this.renderedPages = new Set();
     this.pagePlaceholders = new Map();
     this.isVirtualScrolling = false;
+    this.nearbyPages = new Set();
+    this.pageRenderTasks = new Map();
+    // Identifies the latest render call per page, so a cancelled one can't clear up after its successor
+    this.pageRenderTokens = new Map();
+    this.pageTextDivs = new Map();
+    this.pageTextContent = new Map();
+    this.pageSearchIndex = new Map();
+    this.pdfRenderingConfig = null;
+    this.pdfRenderGeneration = 0;
+    this.pendingSearchScrollIndex = null;
+    this.currentPageNum = 1;
+    this.currentPdfHash = null;
+    this.pdfFieldObjectsPromise = null;
+    this.pdfLinkService = null;
+    this.pdfLoadingTask = null;
+    
+    // Passwords for encrypted PDFs, kept only while the overlay is open
+    this.pdfPasswords = new Map();
+    
+    // Clockwise rotation in degrees per attachment, kept only while the overlay is open
+    this.attachmentRotations = new Map();
+    
+    // JPEG conversions of HEIC photos per attachment, kept only while the overlay is open
+    this.convertedImages = new Map();
+    this.heifLibrary = null;
+    
+    // Image metadata panel; stays open across images once shown
+    this.imageMetadata = null;
+    this.imageInfoOpen = false;
+    this.imagePages = [];
+    this.imagePagesReady = null;
+    this.imagePagesGeneration = 0;
+    
+    // Decoded lines and scroll state of the open text file
+    this.currentText = null;
+    
+    // Parsed rows, sort, filters and scroll state of the open CSV/TSV file
+    this.currentTable = null;
+    
+    // Rendered page and text nodes of the open Word document or email
+    this.currentDocument = null;
+    
+    // Files opened from inside the current attachment (email attachments, archive entries), outermost first
+    this.nestedAttachments = [];
+    
+    // Parsed sheets and grid state of the open XLSX/ODS workbook
+    this.currentSpreadsheet = null;
+    
+    // Player, object URL and waveform of the open audio or video file
+    this.currentMedia = null;
+    
+    // Sandboxed iframe showing the open SVG or HTML file
+    this.currentFrame = null;
+    
+    // Filled-in form values per attachment, kept while the overlay is open
+    this.pdfFormValues = new Map();
+    
+    // Hides the message shown when a converted download fails
+    this.downloadErrorTimer = null;
+    
+    // Pending or finished injections of the on-demand libraries, by name
+    this.libraryLoads = new Map();
+    
+    // Thumbnail sidebar properties
+    this.sidebarOpen = false;
+    this.sidebarPanel = 'thumbnails';
+    this.thumbnailObserver = null;
+    this.thumbnailElements = new Map();
+    this.renderedThumbnails = new Set();
+    this.thumbnailQueue = [];
+    this.isRenderingThumbnails = false;
     
     // Gesture properties
     this.touchStartX = 0;
     this.touchStartY = 0;
     this.touchStartTime = 0;
     this.isSwiping = false;
+    this.pinchStart = null;
+    this.isPinchGesture = false;
+    this.pendingZoom = null;
+    
+    // Hand tool: panMode is the toolbar toggle, spacePanActive a held space bar
+    this.panMode = false;
+    this.spacePanActive = false;
+    this.panState = null;
+    this.panMomentumFrame = null;
+    this.suppressNextClick = false;
     
     // Performance properties
     this.pdfWorker = null;
@@ -114,6 +422,18 @@ class FrontAttachmentViewer {
     
     // Search debouncing
     this.searchDebounceTimer = null;
+    this.searchGeneration = 0;
+    
+    // Search options stay as the user left them for the next search
+    this.searchOptions = {
+      matchCase: false,
+      wholeWord: false,
+      regex: false,
+      ignoreDiacritics: false,
+      allAttachments: false
+    };
+    this.lastSearchMatcher = null;
+    this.conversationTextCache = new Map();
     
     // Transition state
     this.isTransitioning = false;
@@ -292,6 +612,11 @@ class FrontAttachmentViewer {
     for (const [hash, attachment] of this.attachmentCache.entries()) {
       if (!currentHashes.has(hash)) {
         this.attachmentCache.delete(hash);
+        this.conversationTextCache.delete(hash);
+        this.pdfFormValues.delete(hash);
+        this.pdfPasswords.delete(hash);
+        this.attachmentRotations.delete(hash);
+        this.convertedImages.delete(hash);
         
         const cacheKey = `${hash}-${attachment.url}`;
         this.preloadCache.delete(cacheKey);
@@ -355,12 +680,46 @@ class FrontAttachmentViewer {
           <button class="front-attachment-nav-button" id="front-prev-btn" disabled title="Previous">Previous</button>
           <button class="front-attachment-nav-button" id="front-next-btn" disabled title="Next">Next</button>
           <div class="front-attachment-counter" id="front-counter"></div>
+          <div class="front-page-indicator" id="front-page-indicator" style="display: none;">
+            <span>Page</span>
+            <input type="text" class="front-page-input" id="front-page-input" inputmode="numeric" autocomplete="off" spellcheck="false" aria-label="Go to page" />
+            <span id="front-page-total"></span>
+          </div>
+          <button class="front-attachment-nav-button primary" id="front-sidebar-btn" title="Toggle page thumbnails" style="display: none;">
+            <svg width="16" height="16" fill="currentColor" viewBox="0 0 16 16" data-testid="sidebar/outlined/16">
+              <path fill-rule="evenodd" d="M3 2.5A1.5 1.5 0 0 0 1.5 4v8A1.5 1.5 0 0 0 3 13.5h10a1.5 1.5 0 0 0 1.5-1.5V4A1.5 1.5 0 0 0 13 2.5H3ZM3 4h3v8H3V4Zm4.5 8H13V4H7.5v8Z" clip-rule="evenodd"/>
+            </svg>
+          </button>
         </div>
         <div class="front-attachment-title" id="front-title">Attachment Viewer</div>
         <div class="front-attachment-nav-right">
           ${this.getSearchControlsHTML()}
+          <button class="front-attachment-nav-button primary" id="front-pan-btn" title="Hand tool (hold Space)">
+            <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round" viewBox="0 0 16 16">
+              <path d="M5 8.5V3.25a1 1 0 0 1 2 0V7.5m0-5a1 1 0 0 1 2 0v5m0-4.25a1 1 0 0 1 2 0V8m0-2.75a1 1 0 0 1 2 0V10a5 5 0 0 1-5 5H8.4a4 4 0 0 1-3.1-1.5L2.6 10.2a1.1 1.1 0 0 1 1.7-1.4L5 9.7"/>
+            </svg>
+          </button>
+          <button class="front-attachment-nav-button primary" id="front-info-btn" title="Image details" style="display: none;">
+            <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" viewBox="0 0 16 16">
+              <circle cx="8" cy="8" r="6.25"/><path d="M8 7.25v4"/><circle cx="8" cy="5" r="0.4" fill="currentColor"/>
+            </svg>
+          </button>
+          <button class="front-attachment-nav-button primary" id="front-rotate-left-btn" title="Rotate left (Shift+R)">
+            <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round" viewBox="0 0 16 16">
+              <path d="M3.5 6.5A5 5 0 1 1 3 9.5"/><path d="M3.5 2.5v4h4"/>
+            </svg>
+          </button>
+          <button class="front-attachment-nav-button primary" id="front-rotate-right-btn" title="Rotate right (R)">
+            <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round" viewBox="0 0 16 16">
+              <path d="M12.5 6.5A5 5 0 1 0 13 9.5"/><path d="M12.5 2.5v4h-4"/>
+            </svg>
+          </button>
           ${this.getZoomControlsHTML()}
-          <button class="front-attachment-nav-button success" id="front-download-btn" title="Download">Download</button>
+          <div class="front-download-wrapper">
+            <button class="front-attachment-nav-button success" id="front-download-btn" title="Download">Download</button>
+            <div class="front-download-menu" id="front-download-menu" style="display: none;"></div>
+            <div class="front-download-error" id="front-download-error" role="alert" style="display: none;"></div>
+          </div>
           <button class="front-attachment-close" id="front-close-btn" title="Close">
             <svg width="20" height="20" fill="currentColor" viewBox="0 0 20 20" data-testid="x-close/outlined/20">
               <path d="M6.28 5.22a.75.75 0 00-1.06 1.06L8.94 10l-3.72 3.72a.75.75 0 101.06 1.06L10 11.06l3.72 3.72a.75.75 0 101.06-1.06L11.06 10l3.72-3.72a.75.75 0 00-1.06-1.06L10 8.94 6.28 5.22z"/>
@@ -368,10 +727,15 @@ class FrontAttachmentViewer {
           </button>
         </div>
       </div>
-      <div class="front-attachment-viewer" id="front-viewer">
-        <div class="front-attachment-loading" id="front-loading">
-          <div class="front-attachment-spinner"></div>
-          <div>Loading attachment...</div>
+      ${this.getConversationResultsHTML()}
+      <div class="front-image-info" id="front-image-info" style="display: none;"></div>
+      <div class="front-attachment-body">
+        ${this.getSidebarHTML()}
+        <div class="front-attachment-viewer" id="front-viewer">
+          <div class="front-attachment-loading" id="front-loading">
+            <div class="front-attachment-spinner"></div>
+            <div>Loading attachment...</div>
+          </div>
         </div>
       </div>
       
@@ -387,6 +751,19 @@ class FrontAttachmentViewer {
     `;
   }
 
+  getSidebarHTML() {
+    return `
+      <aside class="front-sidebar" id="front-sidebar">
+        <div class="front-sidebar-tabs" role="tablist">
+          <button class="front-sidebar-tab active" id="front-sidebar-tab-thumbnails" data-panel="thumbnails" role="tab">Pages</button>
+          <button class="front-sidebar-tab" id="front-sidebar-tab-outline" data-panel="outline" role="tab">Outline</button>
+        </div>
+        <div class="front-sidebar-content" id="front-thumbnails"></div>
+        <div class="front-sidebar-content front-outline" id="front-outline" style="display: none;"></div>
+      </aside>
+    `;
+  }
+
   getSearchControlsHTML() {
     return `
       <div class="front-search-controls" id="front-search-controls" style="display: none;">
@@ -394,6 +771,13 @@ class FrontAttachmentViewer {
           <div class="front-search-box">
             <input type="text" class="front-search-input" id="front-search-input" placeholder="Find" autocomplete="off" spellcheck="false" />
             <div class="front-search-accessories">
+              <div class="front-search-options" id="front-search-options">
+                <div class="front-search-option" data-option="matchCase" title="Match Case" role="button" aria-pressed="false">Aa</div>
+                <div class="front-search-option" data-option="wholeWord" title="Match Whole Word" role="button" aria-pressed="false"><u>ab</u></div>
+                <div class="front-search-option" data-option="regex" title="Use Regular Expression" role="button" aria-pressed="false">.*</div>
+                <div class="front-search-option" data-option="ignoreDiacritics" title="Ignore Accents" role="button" aria-pressed="false">é=e</div>
+                <div class="front-search-option" data-option="allAttachments" title="Search All Attachments in This Conversation" role="button" aria-pressed="false">All</div>
+              </div>
               <span class="front-search-counter" id="front-search-counter"></span>
               <div class="front-search-controls-buttons">
                 <div class="front-search-control-button" id="front-search-prev-btn" title="Previous Result">
@@ -416,7 +800,7 @@ class FrontAttachmentViewer {
           </div>
         </div>
       </div>
-      <button class="front-attachment-nav-button primary" id="front-search-btn" title="Search PDF">
+      <button class="front-attachment-nav-button primary" id="front-search-btn" title="Search">
         <svg width="16" height="16" fill="currentColor" viewBox="0 0 16 16" data-testid="search-sm/outlined/16">
           <path fill-rule="evenodd" d="M11.5 7a4.5 4.5 0 1 1-9 0 4.5 4.5 0 0 1 9 0Zm-.82 4.74a6 6 0 1 1 1.06-1.06l2.79 2.79a.75.75 0 1 1-1.06 1.06l-2.79-2.79Z" clip-rule="evenodd"/>
         </svg>
@@ -424,12 +808,26 @@ class FrontAttachmentViewer {
     `;
   }
 
+  getConversationResultsHTML() {
+    return `
+      <div class="front-conversation-results" id="front-conversation-results" style="display: none;">
+        <div class="front-conversation-results-header" id="front-conversation-results-header"></div>
+        <div class="front-conversation-results-list" id="front-conversation-results-list"></div>
+      </div>
+    `;
+  }
+
   getZoomControlsHTML() {
     return `
       <div class="front-zoom-controls">
         <button class="front-attachment-nav-button" id="front-zoom-out-btn" title="Zoom Out">−</button>
-        <div class="front-zoom-level" id="front-zoom-level">100%</div>
+        <button class="front-zoom-level" id="front-zoom-level" title="Zoom options">100%</button>
         <button class="front-attachment-nav-button" id="front-zoom-in-btn" title="Zoom In">+</button>
+        <div class="front-zoom-menu" id="front-zoom-menu" style="display: none;">
+          <button class="front-download-menu-item" data-zoom-mode="fit-width">Fit width</button>
+          <button class="front-download-menu-item" data-zoom-mode="fit-page">Fit page</button>
+          <button class="front-download-menu-item" data-zoom-mode="actual-size">Actual size</button>
+        </div>
       </div>
     `;
   }
@@ -441,15 +839,38 @@ class FrontAttachmentViewer {
     elements.nextBtn.addEventListener('click', () => this.navigateNext());
     elements.closeBtn.addEventListener('click', () => this.closeViewer());
     elements.downloadBtn.addEventListener('click', () => this.downloadCurrentAttachment());
+    elements.sidebarBtn.addEventListener('click', () => this.toggleSidebar());
+    elements.thumbnailsTab.addEventListener('click', () => this.showSidebarPanel('thumbnails'));
+    elements.outlineTab.addEventListener('click', () => this.showSidebarPanel('outline'));
+    elements.panBtn.addEventListener('click', () => this.togglePanMode());
+    elements.infoBtn.addEventListener('click', () => this.toggleImageInfo());
+    elements.rotateLeftBtn.addEventListener('click', () => this.rotate(-90));
+    elements.rotateRightBtn.addEventListener('click', () => this.rotate(90));
+    
+    this.setupPageInputEvents(elements);
     
     this.setupZoomEvents(elements);
     this.setupSearchEvents(elements);
     this.setupSideArrowEvents();
+    this.setupMenuDismissal();
     this.setupEnhancedClickToClose();
+    this.setupDragToPan();
     this.setupSwipeGestures();
+    this.setupPinchZoom();
     this.setupScrollZoom();
   }
 
+  setupMenuDismissal() {
+    this.overlay.addEventListener('click', (e) => {
+      if (!e.target.closest('.front-download-wrapper')) {
+        this.hideDownloadMenu();
+      }
+      if (!e.target.closest('.front-zoom-controls')) {
+        this.hideZoomMenu();
+      }
+    });
+  }
+
   setupEnhancedClickToClose() {
     // Click on overlay background to close
     this.overlay.addEventListener('click', (e) => {
@@ -480,6 +901,174 @@ class FrontAttachmentViewer {
     }
   }
 
+  setupDragToPan() {
+    const viewer = document.getElementById('front-viewer');
+    if (!viewer) return;
+    
+    viewer.addEventListener('pointerdown', (e) => {
+      this.stopPanMomentum();
+      this.suppressNextClick = false;
+      
+      if (e.pointerType !== 'mouse' || e.button !== 0) return;
+      const scrollRoot = e.target.closest('.front-attachment-content');
+      if (!scrollRoot || !this.canPanAt(e.target)) return;
+      // Links and form fields stay usable with the hand tool
+      if (e.target.closest('.annotationLayer section')) return;
+      
+      e.preventDefault();
+      this.panState = {
+        pointerId: e.pointerId,
+        scrollRoot,
+        startX: e.clientX,
+        startY: e.clientY,
+        scrollLeft: scrollRoot.scrollLeft,
+        scrollTop: scrollRoot.scrollTop,
+        moved: false,
+        samples: [{ x: e.clientX, y: e.clientY, time: e.timeStamp }]
+      };
+      viewer.setPointerCapture(e.pointerId);
+    });
+    
+    viewer.addEventListener('pointermove', (e) => {
+      const pan = this.panState;
+      if (!pan || e.pointerId !== pan.pointerId) return;
+      
+      const deltaX = e.clientX - pan.startX;
+      const deltaY = e.clientY - pan.startY;
+      if (!pan.moved && Math.hypot(deltaX, deltaY) < CONSTANTS.PAN.DRAG_THRESHOLD) return;
+      
+      if (!pan.moved) {
+        pan.moved = true;
+        viewer.classList.add('panning');
+      }
+      pan.scrollRoot.scrollLeft = pan.scrollLeft - deltaX;
+      pan.scrollRoot.scrollTop = pan.scrollTop - deltaY;
+      
+      pan.samples.push({ x: e.clientX, y: e.clientY, time: e.timeStamp });
+      while (pan.samples.length > 2 && e.timeStamp - pan.samples[0].time > CONSTANTS.PAN.VELOCITY_WINDOW) {
+        pan.samples.shift();
+      }
+    });
+    
+    const endPan = (e) => {
+      const pan = this.panState;
+      if (!pan || e.pointerId !== pan.pointerId) return;
+      
+      this.panState = null;
+      viewer.classList.remove('panning');
+      if (viewer.hasPointerCapture(e.pointerId)) {
+        viewer.releasePointerCapture(e.pointerId);
+      }
+      if (!pan.moved) return;
+      
+      // The click that follows a drag must not close the viewer
+      this.suppressNextClick = true;
+      if (e.type === 'pointerup') {
+        const first = pan.samples[0];
+        const elapsed = e.timeStamp - first.time;
+        if (elapsed > 0) {
+          this.startPanMomentum(pan.scrollRoot, (first.x - e.clientX) / elapsed, (first.y - e.clientY) / elapsed);
+        }
+      }
+    };
+    viewer.addEventListener('pointerup', endPan);
+    viewer.addEventListener('pointercancel', endPan);
+    
+    // Capture phase so neither click-to-close handler sees it
+    this.overlay.addEventListener('click', (e) => {
+      if (this.suppressNextClick) {
+        this.suppressNextClick = false;
+        e.stopPropagation();
+        e.preventDefault();
+      }
+    }, true);
+    
+    viewer.addEventListener('dblclick', (e) => {
+      if (!e.target.closest('#front-pdf-container, #front-image-container, #front-image-pages') || !this.canPanAt(e.target)) return;
+      e.preventDefault();
+      this.toggleFitZoom({ x: e.clientX, y: e.clientY });
+    });
+    
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== ' ' || !this.isViewerOpen() || this.isTextEntryTarget(e.target) || this.isSpaceActivatedTarget(e.target)) return;
+      // Space would otherwise scroll the page
+      e.preventDefault();
+      if (!e.repeat) this.setSpacePan(true);
+    });
+    document.addEventListener('keyup', (e) => {
+      if (e.key === ' ') this.setSpacePan(false);
+    });
+    window.addEventListener('blur', () => this.setSpacePan(false));
+  }
+
+  canPanAt(target) {
+    // Images have nothing to select, so they can always be dragged once they overflow
+    return this.panMode || this.spacePanActive ||
+      !!target.closest('.pannable #front-image-container, .pannable #front-image-pages');
+  }
+
+  togglePanMode() {
+    this.panMode = !this.panMode;
+    this.updatePanClasses();
+  }
+
+  setSpacePan(active) {
+    if (this.spacePanActive === active) return;
+    this.spacePanActive = active;
+    this.updatePanClasses();
+  }
+
+  updatePanClasses() {
+    const viewer = document.getElementById('front-viewer');
+    const panBtn = document.getElementById('front-pan-btn');
+    if (viewer) viewer.classList.toggle('pan-mode', this.panMode || this.spacePanActive);
+    if (panBtn) panBtn.classList.toggle('active', this.panMode);
+  }
+
+  startPanMomentum(scrollRoot, velocityX, velocityY) {
+    let lastTime = performance.now();
+    
+    const step = (time) => {
+      const elapsed = time - lastTime;
+      lastTime = time;
+      
+      scrollRoot.scrollLeft += velocityX * elapsed;
+      scrollRoot.scrollTop += velocityY * elapsed;
+      
+      // Friction is per 16ms frame so slower displays decay at the same rate
+      const decay = Math.pow(CONSTANTS.PAN.FRICTION, elapsed / 16);
+      velocityX *= decay;
+      velocityY *= decay;
+      
+      if (Math.hypot(velocityX, velocityY) < CONSTANTS.PAN.MIN_VELOCITY) {
+        this.panMomentumFrame = null;
+        return;
+      }
+      this.panMomentumFrame = requestAnimationFrame(step);
+    };
+    
+    if (Math.hypot(velocityX, velocityY) >= CONSTANTS.PAN.MIN_VELOCITY) {
+      this.panMomentumFrame = requestAnimationFrame(step);
+    }
+  }
+
+  stopPanMomentum() {
+    if (this.panMomentumFrame) {
+      cancelAnimationFrame(this.panMomentumFrame);
+      this.panMomentumFrame = null;
+    }
+  }
+
+  toggleFitZoom(anchor) {
+    const fitMode = this.currentPdf ? 'fit-width' : 'fit-page';
+    
+    if (Math.abs(this.zoomLevel - 1) < 0.001) {
+      this.setZoomMode(fitMode);
+    } else {
+      this.setZoomLevel(1, anchor);
+    }
+  }
+
   setupSwipeGestures() {
     const viewer = document.getElementById('front-viewer');
     if (!viewer) return;
@@ -499,6 +1088,7 @@ class FrontAttachmentViewer {
     const handleStart = (e) => {
       // Only handle if it's a touch/pen event or primary button
       if (e.type === 'pointerdown' && e.pointerType === 'mouse') return;
+      if (this.isPinchGesture || this.panState) return;
       
       const coords = getEventCoords(e);
       this.touchStartX = coords.x;
@@ -510,6 +1100,13 @@ class FrontAttachmentViewer {
     const handleMove = (e) => {
       if (this.touchStartX === 0) return;
       
+      // A second finger turns the gesture into a pinch for the rest of the touch
+      if (this.isPinchGesture) {
+        this.touchStartX = 0;
+        this.isSwiping = false;
+        return;
+      }
+      
       const coords = getEventCoords(e);
       const deltaX = coords.x - this.touchStartX;
       const deltaY = coords.y - this.touchStartY;
@@ -556,6 +1153,48 @@ class FrontAttachmentViewer {
     endEvents.forEach(event => viewer.addEventListener(event, handleEnd, { passive: true }));
   }
 
+  setupPinchZoom() {
+    const viewer = document.getElementById('front-viewer');
+    if (!viewer) return;
+    
+    const getPinch = (touches) => {
+      const [a, b] = touches;
+      return {
+        distance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY),
+        center: { x: (a.clientX + b.clientX) / 2, y: (a.clientY + b.clientY) / 2 }
+      };
+    };
+    
+    viewer.addEventListener('touchstart', (e) => {
+      if (e.touches.length !== 2) return;
+      
+      this.isPinchGesture = true;
+      this.pinchStart = { distance: getPinch(e.touches).distance, zoom: this.zoomLevel };
+    }, { passive: true });
+    
+    viewer.addEventListener('touchmove', (e) => {
+      if (!this.pinchStart || e.touches.length !== 2) return;
+      
+      e.preventDefault();
+      const { distance, center } = getPinch(e.touches);
+      if (this.pinchStart.distance > 0) {
+        this.queueZoom(this.pinchStart.zoom * distance / this.pinchStart.distance, center);
+      }
+    }, { passive: false });
+    
+    const handleEnd = (e) => {
+      if (e.touches.length < 2) {
+        this.pinchStart = null;
+      }
+      // Swipes stay disabled until every finger of the pinch has lifted
+      if (e.touches.length === 0) {
+        this.isPinchGesture = false;
+      }
+    };
+    viewer.addEventListener('touchend', handleEnd, { passive: true });
+    viewer.addEventListener('touchcancel', handleEnd, { passive: true });
+  }
+
   setupSideArrowEvents() {
     const leftArrow = document.getElementById('front-side-arrow-left');
     const rightArrow = document.getElementById('front-side-arrow-right');
@@ -581,19 +1220,66 @@ class FrontAttachmentViewer {
       nextBtn: document.getElementById('front-next-btn'),
       closeBtn: document.getElementById('front-close-btn'),
       downloadBtn: document.getElementById('front-download-btn'),
+      sidebarBtn: document.getElementById('front-sidebar-btn'),
+      thumbnailsTab: document.getElementById('front-sidebar-tab-thumbnails'),
+      outlineTab: document.getElementById('front-sidebar-tab-outline'),
+      pageInput: document.getElementById('front-page-input'),
       zoomInBtn: document.getElementById('front-zoom-in-btn'),
       zoomOutBtn: document.getElementById('front-zoom-out-btn'),
+      zoomLevel: document.getElementById('front-zoom-level'),
+      panBtn: document.getElementById('front-pan-btn'),
+      infoBtn: document.getElementById('front-info-btn'),
+      rotateLeftBtn: document.getElementById('front-rotate-left-btn'),
+      rotateRightBtn: document.getElementById('front-rotate-right-btn'),
+      zoomMenu: document.getElementById('front-zoom-menu'),
       searchBtn: document.getElementById('front-search-btn'),
       searchInput: document.getElementById('front-search-input'),
       searchPrevBtn: document.getElementById('front-search-prev-btn'),
       searchNextBtn: document.getElementById('front-search-next-btn'),
-      searchCloseBtn: document.getElementById('front-search-close-btn')
+      searchCloseBtn: document.getElementById('front-search-close-btn'),
+      searchOptions: document.getElementById('front-search-options')
     };
   }
 
+  setupPageInputEvents(elements) {
+    elements.pageInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.goToPage(parseInt(elements.pageInput.value, 10));
+        elements.pageInput.blur();
+      } else if (e.key === 'Escape') {
+        // Leave the field without closing the viewer
+        e.preventDefault();
+        e.stopPropagation();
+        elements.pageInput.blur();
+      }
+    });
+    elements.pageInput.addEventListener('focus', () => elements.pageInput.select());
+    elements.pageInput.addEventListener('blur', () => this.updatePageIndicator());
+  }
+
   setupZoomEvents(elements) {
     elements.zoomInBtn.addEventListener('click', () => this.zoomIn());
     elements.zoomOutBtn.addEventListener('click', () => this.zoomOut());
+    elements.zoomLevel.addEventListener('click', () => this.toggleZoomMenu());
+    elements.zoomMenu.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-zoom-mode]');
+      if (item) {
+        this.setZoomMode(item.getAttribute('data-zoom-mode'));
+      }
+    });
+    
+    // Fit modes follow the viewer size, including the sidebar opening and closing
+    this.zoomResizeObserver = new ResizeObserver(() => {
+      if (this.isViewerOpen() && this.updateModeZoomLevel()) {
+        this.applyZoom();
+      }
+    });
+    this.zoomResizeObserver.observe(document.getElementById('front-viewer'));
+    
+    this.zoomTargetObserver = new ResizeObserver((entries) => {
+      entries.forEach(entry => this.layoutZoomTarget(entry.target));
+    });
   }
 
   setupSearchEvents(elements) {
@@ -603,6 +1289,37 @@ class FrontAttachmentViewer {
     elements.searchPrevBtn.addEventListener('click', () => this.navigateSearchPrevious());
     elements.searchNextBtn.addEventListener('click', () => this.navigateSearchNext());
     elements.searchCloseBtn.addEventListener('click', () => this.closeSearch());
+    
+    elements.searchOptions.querySelectorAll('.front-search-option').forEach((optionBtn) => {
+      // Keep focus in the input so typing can continue right after toggling
+      optionBtn.addEventListener('mousedown', (e) => e.preventDefault());
+      optionBtn.addEventListener('click', () => this.toggleSearchOption(optionBtn.getAttribute('data-option')));
+    });
+    this.updateSearchOptionButtons();
+  }
+
+  toggleSearchOption(option) {
+    // Without an open PDF the only thing to search is the whole conversation
+    if (option === 'allAttachments' && !this.currentPdf) return;
+    
+    this.searchOptions[option] = !this.searchOptions[option];
+    this.updateSearchOptionButtons();
+    
+    const searchInput = document.getElementById('front-search-input');
+    if (searchInput && searchInput.value) {
+      this.performSearch(searchInput.value);
+    }
+  }
+
+  updateSearchOptionButtons() {
+    document.querySelectorAll('.front-search-option').forEach((optionBtn) => {
+      const option = optionBtn.getAttribute('data-option');
+      const isForced = option === 'allAttachments' && !this.currentPdf;
+      const isActive = isForced || !!this.searchOptions[option];
+      optionBtn.classList.toggle('active', isActive);
+      optionBtn.classList.toggle('forced', isForced);
+      optionBtn.setAttribute('aria-pressed', isActive);
+    });
   }
 
   handleSearchKeydown(e) {
@@ -620,12 +1337,27 @@ class FrontAttachmentViewer {
     this.overlay.addEventListener('wheel', (e) => {
       if (e.ctrlKey || e.metaKey) {
         e.preventDefault();
-        if (e.deltaY > 0) {
-          this.zoomOut();
-        } else {
-          this.zoomIn();
-        }
+        
+        // Mouse wheels send one large delta per notch, trackpad pinches a stream of tiny ones
+        const deltaY = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? e.deltaY * 16 : e.deltaY;
+        const maxFactor = CONSTANTS.ZOOM.MAX_WHEEL_FACTOR;
+        const factor = Math.min(maxFactor, Math.max(1 / maxFactor, Math.exp(-deltaY * CONSTANTS.ZOOM.WHEEL_SENSITIVITY)));
+        const baseZoom = this.pendingZoom ? this.pendingZoom.zoomLevel : this.zoomLevel;
+        this.queueZoom(baseZoom * factor, { x: e.clientX, y: e.clientY });
       }
+    }, { passive: false });
+  }
+
+  // Wheel and pinch events arrive faster than frames; apply only the latest zoom each frame
+  queueZoom(zoomLevel, anchor) {
+    const isScheduled = !!this.pendingZoom;
+    this.pendingZoom = { zoomLevel: Math.min(this.maxZoom, Math.max(this.minZoom, zoomLevel)), anchor };
+    if (isScheduled) return;
+    
+    requestAnimationFrame(() => {
+      const { zoomLevel, anchor } = this.pendingZoom;
+      this.pendingZoom = null;
+      this.setZoomLevel(zoomLevel, anchor);
     });
   }
 
@@ -639,6 +1371,8 @@ class FrontAttachmentViewer {
       if (!this.isViewerOpen()) return;
 
       if (this.handleSearchKeyNavigation(e)) return;
+      if (this.handlePageKeyNavigation(e)) return;
+      if (this.handleMediaKeyNavigation(e)) return;
 
       switch(e.key) {
         case 'Escape': 
@@ -646,13 +1380,13 @@ class FrontAttachmentViewer {
           this.searchMode ? this.closeSearch() : this.closeViewer();
           break;
         case 'ArrowLeft': 
-          if (!this.searchMode) {
+          if (!this.searchMode && !this.isTextEntryTarget(e.target)) {
             e.preventDefault(); 
             this.navigatePrevious(); 
           }
           break;
         case 'ArrowRight': 
-          if (!this.searchMode) {
+          if (!this.searchMode && !this.isTextEntryTarget(e.target)) {
             e.preventDefault(); 
             this.navigateNext(); 
           }
@@ -676,6 +1410,13 @@ class FrontAttachmentViewer {
             this.resetZoom(); 
           }
           break;
+        case 'r':
+        case 'R':
+          if (!e.ctrlKey && !e.metaKey && !e.altKey && !this.isTextEntryTarget(e.target)) {
+            e.preventDefault();
+            this.rotate(e.shiftKey ? -90 : 90);
+          }
+          break;
       }
 
       if (e.key.toLowerCase() === 'f' && (e.ctrlKey || e.metaKey)) {
@@ -685,6 +1426,67 @@ class FrontAttachmentViewer {
     });
   }
 
+  handlePageKeyNavigation(e) {
+    if (this.pagePlaceholders.size === 0 || this.isTextEntryTarget(e.target)) return false;
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+    
+    switch (e.key) {
+      case 'PageDown':
+        this.goToPage(this.findPageInView() + 1);
+        break;
+      case 'PageUp':
+        this.goToPage(this.findPageInView() - 1);
+        break;
+      case 'Home':
+        this.goToPage(1);
+        break;
+      case 'End':
+        this.goToPage(this.pagePlaceholders.size);
+        break;
+      default:
+        return false;
+    }
+    
+    e.preventDefault();
+    return true;
+  }
+
+  // Plain Left/Right stay with attachment navigation; Shift+arrows and J/K/L drive the player
+  handleMediaKeyNavigation(e) {
+    if (!this.currentMedia || this.searchMode || this.isTextEntryTarget(e.target)) return false;
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+    
+    const { SEEK_STEP, LONG_SEEK_STEP } = CONSTANTS.MEDIA_PREVIEW;
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    
+    if (key === 'ArrowLeft' && e.shiftKey) {
+      this.seekMedia(-SEEK_STEP);
+    } else if (key === 'ArrowRight' && e.shiftKey) {
+      this.seekMedia(SEEK_STEP);
+    } else if (key === 'j') {
+      this.seekMedia(-LONG_SEEK_STEP);
+    } else if (key === 'l') {
+      this.seekMedia(LONG_SEEK_STEP);
+    } else if (key === 'k') {
+      const { player } = this.currentMedia;
+      player.paused ? player.play().catch(() => {}) : player.pause();
+    } else {
+      return false;
+    }
+    
+    e.preventDefault();
+    return true;
+  }
+
+  isTextEntryTarget(target) {
+    return !!target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+  }
+
+  // Space presses buttons and plays or pauses media, so those keep it
+  isSpaceActivatedTarget(target) {
+    return !!target?.closest?.('button, a, [role="button"], audio, video, .front-media');
+  }
+
   handleSearchKeyNavigation(e) {
     if (this.searchMode && this.searchResults.length > 0) {
       if (e.key === 'ArrowUp') {
@@ -823,6 +1625,8 @@ class FrontAttachmentViewer {
     const attachment = this.attachments[this.currentIndex];
     const cacheKey = `${attachment.hash}-${attachment.url}`;
     
+    this.nestedAttachments = [];
+    this.teardownAttachmentView();
     this.updateUI(attachment);
 
     if (this.preloadCache.has(cacheKey)) {
@@ -831,31 +1635,98 @@ class FrontAttachmentViewer {
       await this.loadFromNetwork(attachment, cacheKey);
     }
 
+    // The content type is only known once the attachment has loaded
+    this.updateSearchVisibility();
     this.startPreloading();
   }
 
+  teardownAttachmentView() {
+    this.teardownPDFRendering();
+    this.teardownImagePages();
+    this.teardownTextView();
+    this.teardownTableView();
+    this.teardownDocumentView();
+    this.teardownSpreadsheetView();
+    this.teardownMediaView();
+    this.teardownFrameView();
+    this.stopPanMomentum();
+    this.hideDownloadMenu();
+    this.hideZoomMenu();
+    this.clearImageMetadata();
+  }
+
   updateUI(attachment) {
     const filename = document.getElementById('front-filename');
     const title = document.getElementById('front-title');
     
-    filename.textContent = attachment.filename;
     title.textContent = attachment.filename;
+    this.updateBreadcrumbs(filename);
     this.updateNavigation();
     this.updateSearchVisibility();
   }
 
+  // Inside an email or archive the filename becomes a trail back to the conversation's attachment
+  updateBreadcrumbs(filename) {
+    const trail = [this.attachments[this.currentIndex], ...this.nestedAttachments];
+    filename.replaceChildren();
+    
+    trail.forEach((attachment, depth) => {
+      if (depth === trail.length - 1) {
+        filename.append(attachment.filename);
+        return;
+      }
+      
+      const crumb = document.createElement('button');
+      crumb.type = 'button';
+      crumb.className = 'front-breadcrumb';
+      crumb.textContent = attachment.filename;
+      crumb.addEventListener('click', () => this.openParentAttachment(depth));
+      
+      const separator = document.createElement('span');
+      separator.className = 'front-breadcrumb-separator';
+      separator.textContent = '›';
+      filename.append(crumb, separator);
+    });
+  }
+
+  // `file` is { filename, blob, contentType } as found inside `parent`; `key` tells it apart from its siblings
+  async openNestedAttachment(parent, key, file) {
+    this.nestedAttachments.push({
+      hash: `${parent.hash}/${key}`,
+      filename: file.filename,
+      blob: file.blob,
+      contentType: this.resolveContentType(file.contentType, file.filename),
+      parent
+    });
+    await this.showNestedAttachment();
+  }
+
+  async openParentAttachment(depth) {
+    this.nestedAttachments.length = depth;
+    this.closeSearch();
+    if (depth === 0) {
+      await this.loadCurrentAttachment();
+    } else {
+      await this.showNestedAttachment();
+    }
+  }
+
+  async showNestedAttachment() {
+    const attachment = this.getCurrentAttachment();
+    this.closeSearch();
+    this.teardownAttachmentView();
+    this.updateUI(attachment);
+    
+    await this.renderContent(attachment, attachment.blob, attachment.contentType);
+    this.updateSearchVisibility();
+  }
+
   async loadFromCache(attachment, cacheKey) {
     const cachedData = this.preloadCache.get(cacheKey);
     attachment.blob = cachedData.blob;
     attachment.contentType = cachedData.contentType;
     
-    if (cachedData.contentType.includes('application/pdf')) {
-      await this.renderPDF(cachedData.blob);
-    } else if (cachedData.contentType.startsWith('image/')) {
-      this.renderImage(cachedData.blob);
-    } else {
-      this.renderUnsupported(attachment.filename, cachedData.contentType);
-    }
+    await this.renderContent(attachment, cachedData.blob, cachedData.contentType);
   }
 
   async loadFromNetwork(attachment, cacheKey) {
@@ -873,13 +1744,7 @@ class FrontAttachmentViewer {
       
       this.preloadCache.set(cacheKey, { blob, contentType, timestamp: Date.now(), index: this.currentIndex });
       
-      if (contentType.includes('application/pdf')) {
-        await this.renderPDF(blob);
-      } else if (contentType.startsWith('image/')) {
-        this.renderImage(blob);
-      } else {
-        this.renderUnsupported(attachment.filename, contentType);
-      }
+      await this.renderContent(attachment, blob, contentType);
     } catch (err) {
       if (err.message.includes('Extension context invalidated') || 
           err.message.includes('context invalidated')) {
@@ -890,6 +1755,43 @@ class FrontAttachmentViewer {
     }
   }
 
+  async renderContent(attachment, blob, contentType) {
+    if (contentType.includes('application/pdf')) {
+      await this.renderPDF(blob);
+    } else if (contentType.includes(CONSTANTS.FILE_TYPES.IMAGE_TIFF)) {
+      // Chrome can't decode TIFF, and faxes are usually several pages in one file
+      await this.renderTIFF(blob);
+    } else if (this.isHEIFType(contentType)) {
+      await this.renderHEIC(blob);
+    } else if (this.isSandboxedDocument(contentType, attachment.filename)) {
+      await this.renderSandboxedDocument(blob, contentType, attachment.filename);
+    } else if (contentType.startsWith('image/')) {
+      this.renderImage(blob);
+    } else if (contentType.startsWith('audio/') || contentType.startsWith('video/')) {
+      this.renderMedia(blob, contentType);
+    } else if (this.isWordDocument(contentType, attachment.filename)) {
+      await this.renderDocument(blob);
+    } else if (this.isSpreadsheet(contentType, attachment.filename)) {
+      await this.renderSpreadsheet(blob);
+    } else if (this.isEmailMessage(contentType, attachment.filename)) {
+      await this.renderEmail(blob, contentType);
+    } else if (this.isArchive(contentType, attachment.filename)) {
+      await this.renderArchive(blob);
+    } else if (this.isDelimitedAttachment(contentType, attachment.filename) &&
+               blob.size <= CONSTANTS.TEXT_PREVIEW.MAX_SIZE) {
+      await this.renderTable(blob, contentType);
+    } else if (await this.isTextAttachment(blob, contentType, attachment.filename)) {
+      await this.renderText(blob, contentType);
+    } else {
+      this.renderUnsupported(attachment.filename, contentType);
+    }
+  }
+
+  isHEIFType(contentType) {
+    // Apple's sequence variants (burst and live photos) carry a still primary image as well
+    return /^image\/hei[cf](-sequence)?\b/.test(contentType);
+  }
+
   showLoadingState(filename) {
     const viewer = document.getElementById('front-viewer');
     viewer.innerHTML = `
@@ -926,18 +1828,14 @@ class FrontAttachmentViewer {
   }
 
   determineContentType(response, filename) {
-    let contentType = response.headers.get('content-type') || '';
+    return this.resolveContentType(response.headers.get('content-type') || '', filename);
+  }
+
+  // Generic or missing types are guessed from the extension
+  resolveContentType(contentType, filename) {
     if (!contentType || contentType.includes('octet-stream')) {
       const ext = filename.split('.').pop().toLowerCase();
-      const typeMap = {
-        pdf: 'application/pdf',
-        jpg: 'image/jpeg',
-        jpeg: 'image/jpeg',
-        png: 'image/png',
-        gif: 'image/gif',
-        webp: 'image/webp'
-      };
-      contentType = typeMap[ext] || contentType;
+      contentType = EXTENSION_TYPE_MAP[ext] || contentType;
     }
     return contentType;
   }
@@ -1060,21 +1958,30 @@ class FrontAttachmentViewer {
     }
   }
 
-  renderImage(blob) {
+  // `originalBlob` is the attachment itself when `blob` is a converted copy of it
+  renderImage(blob, originalBlob = blob) {
     const viewer = document.getElementById('front-viewer');
     const imageUrl = URL.createObjectURL(blob);
+    const attachment = this.getCurrentAttachment();
     
     // Create a temporary image to get dimensions
     const tempImg = new Image();
     tempImg.src = imageUrl;
     
+    this.loadImageMetadata(originalBlob, attachment);
+    
     tempImg.decode().then(() => {
+      // Another attachment took over the viewer while this one was decoding
+      if (!this.isCurrentAttachment(attachment)) return;
+      
+      // naturalWidth/Height already have the EXIF orientation applied (image-orientation: from-image)
       const width = tempImg.naturalWidth;
       const height = tempImg.naturalHeight;
+      this.updateModeZoomLevel(this.getRotatedSize(width, height, this.getCurrentRotation()));
       
       viewer.innerHTML = `
         <div class="front-attachment-content">
-          <div id="front-image-container" style="transform: scale(${this.zoomLevel}); transform-origin: center top;">
+          <div id="front-image-container" style="transform: scale(${this.zoomLevel}); transform-origin: 0 0;">
             <img 
               src="${imageUrl}" 
               alt="Attachment" 
@@ -1083,62 +1990,699 @@ class FrontAttachmentViewer {
               loading="eager"
               decoding="async"
               fetchpriority="high"
-              style="height: 100vh; width: auto; object-fit: contain; will-change: transform;" 
+              style="display: block; max-width: none; will-change: transform;" 
             />
           </div>
         </div>
       `;
       
+      this.trackZoomTarget(document.getElementById('front-image-container'));
       this.updateZoomDisplay();
+      this.updateImageMetadataDimensions(width, height);
     }).catch(() => {
+      if (!this.isCurrentAttachment(attachment)) return;
+      
       // Fallback without dimensions
       viewer.innerHTML = `
         <div class="front-attachment-content">
-          <div id="front-image-container" style="transform: scale(${this.zoomLevel}); transform-origin: center top;">
+          <div id="front-image-container" style="transform: scale(${this.zoomLevel}); transform-origin: 0 0;">
             <img 
               src="${imageUrl}" 
               alt="Attachment" 
               loading="eager"
               decoding="async"
               fetchpriority="high"
-              style="height: 100vh; width: auto; object-fit: contain; will-change: transform;" 
+              style="display: block; max-width: none; will-change: transform;" 
             />
           </div>
         </div>
       `;
       
+      this.trackZoomTarget(document.getElementById('front-image-container'));
+      
       const img = viewer.querySelector('img');
       img.onload = () => {
+        if (this.updateModeZoomLevel()) {
+          this.applyZoom();
+        }
         this.updateZoomDisplay();
+        this.updateImageMetadataDimensions(img.naturalWidth, img.naturalHeight);
       };
     });
   }
 
-  async renderPDF(blob) {
-    const viewer = document.getElementById('front-viewer');
-    try {
-      if (typeof pdfjsLib === 'undefined') {
-        throw new Error('PDF.js not loaded');
-      }
+  async renderHEIC(blob) {
+    const attachment = this.getCurrentAttachment();
+    let converted = this.convertedImages.get(attachment.hash);
+    
+    if (!converted) {
+      this.showLoadingState(attachment.filename);
+      try {
+        converted = await this.convertHEICToJPEG(blob);
+      } catch (error) {
+        if (this.isCurrentAttachment(attachment)) {
+          this.renderError(`Failed to load ${attachment.filename}: the HEIC image could not be decoded`);
+        }
+        return;
+      }
+      this.convertedImages.set(attachment.hash, converted);
+      if (!this.isCurrentAttachment(attachment)) return;
+    }
+    
+    this.renderImage(converted, blob);
+  }
+
+  async convertHEICToJPEG(blob) {
+    const buffer = new Uint8Array(await blob.arrayBuffer());
+    // Decoding blocks the page for a moment; let the loading state paint first
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    await this.loadLibrary('libheif');
+    const heif = this.getHeifLibrary();
+    const decoder = new heif.HeifDecoder();
+    let images = [];
+    
+    try {
+      images = decoder.decode(buffer);
+      if (images.length === 0) throw new Error('No image found');
       
-      if (!this.isExtensionContextValid()) {
-        throw new Error('Extension context invalidated - please refresh the page');
+      // The first top-level image isn't always the primary one (bursts, edited photos)
+      // libheif applies the stored rotation and mirroring, so the result is already upright
+      const image = images.find(candidate => candidate.is_primary()) || images[0];
+      const imageData = new ImageData(image.get_width(), image.get_height());
+      await new Promise((resolve, reject) => {
+        image.display(imageData, result => (result ? resolve() : reject(new Error('Decoding failed'))));
+      });
+      
+      const canvas = document.createElement('canvas');
+      canvas.width = imageData.width;
+      canvas.height = imageData.height;
+      canvas.getContext('2d').putImageData(imageData, 0, 0);
+      
+      const jpeg = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+      canvas.width = 0;
+      canvas.height = 0;
+      if (!jpeg) throw new Error('JPEG encoding failed');
+      return jpeg;
+    } finally {
+      images.forEach(image => image.free());
+      decoder.decoder.delete();
+    }
+  }
+
+  getHeifLibrary() {
+    // Instantiating libheif takes a while, so only do it once a HEIC photo is opened
+    if (!this.heifLibrary) {
+      this.heifLibrary = libheif();
+    }
+    return this.heifLibrary;
+  }
+
+  async renderTIFF(blob) {
+    const viewer = document.getElementById('front-viewer');
+    const attachment = this.getCurrentAttachment();
+    const generation = this.imagePagesGeneration;
+    
+    const buffer = await blob.arrayBuffer();
+    let frames;
+    try {
+      await this.loadLibrary('utif');
+      frames = this.getTIFFFrames(buffer);
+    } catch (error) {
+      frames = [];
+    }
+    if (generation !== this.imagePagesGeneration) return;
+    
+    if (frames.length === 0) {
+      this.renderError(`Failed to load ${attachment.filename}: the TIFF image could not be read`);
+      return;
+    }
+    
+    this.loadImageMetadata(blob, attachment);
+    
+    const rotation = this.getCurrentRotation();
+    this.updateModeZoomLevel({ ...this.getRotatedSize(frames[0].width, frames[0].height, rotation), isPageStack: true });
+    
+    viewer.innerHTML = `
+      <div class="front-attachment-content">
+        <div id="front-image-pages" style="padding-top: 16px; transform: scale(${this.zoomLevel}); transform-origin: 0 0;"></div>
+      </div>
+    `;
+    const container = document.getElementById('front-image-pages');
+    
+    // Every page gets its final size up front so the stack doesn't jump around while decoding
+    this.imagePages = frames.map((frame, index) => {
+      const element = document.createElement('div');
+      element.className = 'front-image-page';
+      element.setAttribute('data-page-number', index + 1);
+      
+      const img = document.createElement('img');
+      img.alt = `Page ${index + 1}`;
+      img.width = frame.width;
+      img.height = frame.height;
+      element.appendChild(img);
+      container.appendChild(element);
+      
+      const page = { ...frame, element, img, blob: null, url: null };
+      this.layoutImagePage(page, rotation);
+      return page;
+    });
+    
+    this.trackZoomTarget(container);
+    this.updateZoomDisplay();
+    this.updateImageMetadataDimensions(frames[0].width, frames[0].height);
+    
+    this.imagePagesReady = this.decodeTIFFPages(buffer, generation);
+    await this.imagePagesReady;
+  }
+
+  getTIFFFrames(buffer) {
+    // Reduced-resolution images (NewSubfileType bit 0) are previews of another page, not pages
+    return UTIF.decode(buffer)
+      .filter(ifd => ifd.t256 && ifd.t257 && !(ifd.t254 && ifd.t254[0] & 1))
+      .map((ifd) => {
+        const xResolution = ifd.t282 ? ifd.t282[0] : 0;
+        const yResolution = ifd.t283 ? ifd.t283[0] : 0;
+        const unitsPerInch = ifd.t296 && ifd.t296[0] === 3 ? 2.54 : 1;
+        
+        // Standard-resolution faxes are scanned at half the vertical resolution and would look squashed
+        const aspect = xResolution && yResolution ? xResolution / yResolution : 1;
+        return {
+          ifd,
+          width: ifd.t256[0],
+          height: Math.round(ifd.t257[0] * aspect),
+          dpi: xResolution ? xResolution * unitsPerInch : null
+        };
+      });
+  }
+
+  async decodeTIFFPages(buffer, generation) {
+    for (const page of this.imagePages) {
+      // A large scan takes a noticeable moment per page; yield so scrolling and navigation stay responsive
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (generation !== this.imagePagesGeneration) return;
+      
+      try {
+        UTIF.decodeImage(buffer, page.ifd);
+        const rgba = UTIF.toRGBA8(page.ifd);
+        const canvas = document.createElement('canvas');
+        canvas.width = page.ifd.width;
+        canvas.height = page.ifd.height;
+        const pixels = new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, canvas.width * canvas.height * 4);
+        canvas.getContext('2d').putImageData(new ImageData(pixels, canvas.width, canvas.height), 0, 0);
+        page.ifd.data = null;
+        
+        // A PNG holds the page in a fraction of the memory a live canvas would
+        page.blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        canvas.width = 0;
+        canvas.height = 0;
+      } catch (error) {
+        page.blob = null;
       }
+      if (generation !== this.imagePagesGeneration) return;
       
+      if (page.blob) {
+        page.url = URL.createObjectURL(page.blob);
+        page.img.src = page.url;
+      } else {
+        page.element.classList.add('failed');
+      }
+    }
+  }
+
+  // Pages in a stack rotate one by one so they keep stacking downwards
+  layoutImagePage(page, rotation) {
+    const size = this.getRotatedSize(page.width, page.height, rotation);
+    page.element.style.width = `${size.width}px`;
+    page.element.style.height = `${size.height}px`;
+    page.img.style.transform = this.getRotationTransform(page.width, page.height, rotation);
+  }
+
+  teardownImagePages() {
+    this.imagePagesGeneration++;
+    this.imagePages.forEach((page) => {
+      if (page.url) URL.revokeObjectURL(page.url);
+    });
+    this.imagePages = [];
+    this.imagePagesReady = null;
+  }
+
+  async loadImageMetadata(blob, attachment) {
+    let metadata;
+    try {
+      metadata = await this.readImageMetadata(blob);
+    } catch (error) {
+      metadata = {};
+    }
+    if (!this.isCurrentAttachment(attachment)) return;
+    
+    this.imageMetadata = {
+      ...metadata,
+      loaded: true,
+      width: this.imageMetadata?.width,
+      height: this.imageMetadata?.height,
+      fileSize: blob.size,
+      contentType: attachment.contentType
+    };
+    this.updateImageInfo();
+  }
+
+  isCurrentAttachment(attachment) {
+    // Rescans rebuild the attachment list, so compare by hash rather than identity
+    return !!attachment && this.getCurrentAttachment()?.hash === attachment.hash;
+  }
+
+  // The attachment on screen: the innermost file opened from an email or archive, or the conversation's own
+  getCurrentAttachment() {
+    return this.nestedAttachments[this.nestedAttachments.length - 1] || this.attachments[this.currentIndex];
+  }
+
+  updateImageMetadataDimensions(width, height) {
+    // Decoding and metadata parsing race each other; whichever finishes last fills in the panel
+    this.imageMetadata = { ...(this.imageMetadata || {}), width, height };
+    this.updateImageInfo();
+  }
+
+  clearImageMetadata() {
+    this.imageMetadata = null;
+    this.updateImageInfo();
+  }
+
+  async readImageMetadata(blob) {
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    const metadata = {};
+    
+    // Location is only reported as absent for formats whose EXIF was actually looked at
+    let tiffOffset = null;
+    try {
+      tiffOffset = this.findExifOffset(view);
+      metadata.exifChecked = tiffOffset !== null || this.getExifContainer(view) !== null;
+    } catch (error) {
+      // Malformed container; the panel says the location is unknown
+    }
+    if (tiffOffset !== null) {
       try {
-        pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('libs/pdfjs/pdf.worker.min.js');
-      } catch (contextError) {
-        pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+        Object.assign(metadata, this.parseExif(view, tiffOffset));
+      } catch (error) {
+        // Truncated or malformed EXIF; keep whatever XMP has
+        metadata.exifChecked = false;
+      }
+    }
+    
+    const scanLength = Math.min(buffer.byteLength, CONSTANTS.IMAGE_METADATA.XMP_SCAN_BYTES);
+    const header = new TextDecoder('latin1').decode(new Uint8Array(buffer, 0, scanLength));
+    const xmpStart = header.indexOf('<x:xmpmeta');
+    const xmpEnd = header.indexOf('</x:xmpmeta>', xmpStart);
+    if (xmpStart !== -1 && xmpEnd !== -1) {
+      this.mergeXMPMetadata(header.slice(xmpStart, xmpEnd), metadata);
+    }
+    
+    return metadata;
+  }
+
+  readAscii(view, offset, count) {
+    let text = '';
+    for (let i = 0; i < count && offset + i < view.byteLength; i++) {
+      text += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return text;
+  }
+
+  // The formats findExifOffset knows how to search, or null
+  getExifContainer(view) {
+    if (view.byteLength < 12) return null;
+    const magic = this.readAscii(view, 0, 4);
+    
+    if (magic === 'II*\0' || magic === 'MM\0*') return 'tiff';
+    if (view.getUint16(0) === 0xFFD8) return 'jpeg';
+    if (magic === '\x89PNG') return 'png';
+    if (magic === 'RIFF' && this.readAscii(view, 8, 4) === 'WEBP') return 'webp';
+    if (this.readAscii(view, 4, 4) === 'ftyp') return 'heif';
+    return null;
+  }
+
+  // Returns the offset of the TIFF header holding the EXIF data, or null
+  findExifOffset(view) {
+    const length = view.byteLength;
+    const readAscii = (offset, count) => this.readAscii(view, offset, count);
+    const container = this.getExifContainer(view);
+    
+    // TIFF files are EXIF containers themselves
+    if (container === 'tiff') return 0;
+    
+    // HEIC/HEIF: an "Exif" item in the meta box
+    if (container === 'heif') return this.findHEIFExifOffset(view);
+    
+    // JPEG: APP1 segment starting with "Exif\0\0"
+    if (container === 'jpeg') {
+      let offset = 2;
+      while (offset + 4 <= length) {
+        const marker = view.getUint16(offset);
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+        const segmentLength = view.getUint16(offset + 2);
+        if (marker === 0xFFE1 && readAscii(offset + 4, 6) === 'Exif\0\0') {
+          return offset + 10;
+        }
+        offset += 2 + segmentLength;
+      }
+      return null;
+    }
+    
+    // PNG: eXIf chunk
+    if (container === 'png') {
+      let offset = 8;
+      while (offset + 8 <= length) {
+        const chunkLength = view.getUint32(offset);
+        const type = readAscii(offset + 4, 4);
+        if (type === 'eXIf') return offset + 8;
+        if (type === 'IDAT' || type === 'IEND') break;
+        offset += 12 + chunkLength;
+      }
+      return null;
+    }
+    
+    // WebP: EXIF chunk, sometimes with the JPEG-style prefix left in
+    if (container === 'webp') {
+      let offset = 12;
+      while (offset + 8 <= length) {
+        const type = readAscii(offset, 4);
+        const chunkLength = view.getUint32(offset + 4, true);
+        if (type === 'EXIF') {
+          return readAscii(offset + 8, 6) === 'Exif\0\0' ? offset + 14 : offset + 8;
+        }
+        offset += 8 + chunkLength + (chunkLength % 2);
+      }
+    }
+    
+    return null;
+  }
+
+  // ISOBMFF boxes between `start` and `end` as { type, start, end } with `start` past the header
+  readBoxes(view, start, end) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+      let size = view.getUint32(offset);
+      let header = 8;
+      if (size === 1) {
+        size = Number(view.getBigUint64(offset + 8));
+        header = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < header || offset + size > end) break;
+      boxes.push({ type: this.readAscii(view, offset + 4, 4), start: offset + header, end: offset + size });
+      offset += size;
+    }
+    return boxes;
+  }
+
+  // HEIF lists items in iinf and their byte ranges in iloc; the Exif item starts with the
+  // offset of the TIFF header inside it
+  findHEIFExifOffset(view) {
+    const meta = this.readBoxes(view, 0, view.byteLength).find(box => box.type === 'meta');
+    if (!meta) return null;
+    // meta, iinf, infe and iloc are full boxes: version and flags come first
+    const children = this.readBoxes(view, meta.start + 4, meta.end);
+    const iinf = children.find(box => box.type === 'iinf');
+    const iloc = children.find(box => box.type === 'iloc');
+    if (!iinf || !iloc) return null;
+    
+    const iinfVersion = view.getUint8(iinf.start);
+    const entriesStart = iinf.start + (iinfVersion === 0 ? 6 : 8);
+    const exifInfo = this.readBoxes(view, entriesStart, iinf.end).find((box) => {
+      const version = view.getUint8(box.start);
+      if (box.type !== 'infe' || version < 2) return false;
+      return this.readAscii(view, box.start + (version === 2 ? 8 : 10), 4) === 'Exif';
+    });
+    if (!exifInfo) return null;
+    const infeVersion = view.getUint8(exifInfo.start);
+    const exifId = infeVersion === 2 ? view.getUint16(exifInfo.start + 4) : view.getUint32(exifInfo.start + 4);
+    
+    const version = view.getUint8(iloc.start);
+    let offset = iloc.start + 4;
+    const readSized = (size) => {
+      const value = size === 8 ? Number(view.getBigUint64(offset)) : size === 4 ? view.getUint32(offset) : size === 2 ? view.getUint16(offset) : 0;
+      offset += size;
+      return value;
+    };
+    const sizes = view.getUint8(offset);
+    const baseSizes = view.getUint8(offset + 1);
+    offset += 2;
+    const offsetSize = sizes >> 4;
+    const lengthSize = sizes & 0x0F;
+    const baseOffsetSize = baseSizes >> 4;
+    const indexSize = version > 0 ? baseSizes & 0x0F : 0;
+    const itemCount = readSized(version < 2 ? 2 : 4);
+    
+    for (let i = 0; i < itemCount; i++) {
+      const itemId = readSized(version < 2 ? 2 : 4);
+      const constructionMethod = version > 0 ? readSized(2) & 0x0F : 0;
+      readSized(2);
+      const baseOffset = readSized(baseOffsetSize);
+      const extentCount = readSized(2);
+      let firstExtent = null;
+      for (let j = 0; j < extentCount; j++) {
+        readSized(indexSize);
+        const extentOffset = readSized(offsetSize);
+        readSized(lengthSize);
+        if (j === 0) firstExtent = extentOffset;
+      }
+      
+      // Only items stored at a file offset (construction method 0) can be read directly
+      if (itemId !== exifId) continue;
+      if (constructionMethod !== 0 || firstExtent === null) return null;
+      const start = baseOffset + firstExtent;
+      const tiffOffset = start + 4 + view.getUint32(start);
+      const magic = this.readAscii(view, tiffOffset, 2);
+      return magic === 'II' || magic === 'MM' ? tiffOffset : null;
+    }
+    
+    return null;
+  }
+
+  parseExif(view, tiffOffset) {
+    const littleEndian = view.getUint16(tiffOffset) === 0x4949;
+    const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+    
+    const readValue = (type, offset) => {
+      switch (type) {
+        case 3: return view.getUint16(offset, littleEndian);
+        case 4: return view.getUint32(offset, littleEndian);
+        case 9: return view.getInt32(offset, littleEndian);
+        case 5: return view.getUint32(offset, littleEndian) / view.getUint32(offset + 4, littleEndian);
+        case 10: return view.getInt32(offset, littleEndian) / view.getInt32(offset + 4, littleEndian);
+        default: return view.getUint8(offset);
       }
+    };
+    
+    const readIFD = (ifdOffset) => {
+      const tags = new Map();
+      const start = tiffOffset + ifdOffset;
+      const count = view.getUint16(start, littleEndian);
+      
+      for (let i = 0; i < count; i++) {
+        const entry = start + 2 + i * 12;
+        const tag = view.getUint16(entry, littleEndian);
+        const type = view.getUint16(entry + 2, littleEndian);
+        const valueCount = view.getUint32(entry + 4, littleEndian);
+        const size = (typeSizes[type] || 1) * valueCount;
+        // Values over four bytes live elsewhere, pointed to from the entry
+        const valueOffset = size > 4 ? tiffOffset + view.getUint32(entry + 8, littleEndian) : entry + 8;
+        
+        if (type === 2) {
+          let text = '';
+          for (let j = 0; j < valueCount; j++) {
+            const code = view.getUint8(valueOffset + j);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+          }
+          tags.set(tag, text.trim());
+        } else {
+          const values = [];
+          for (let j = 0; j < Math.min(valueCount, 16); j++) {
+            values.push(readValue(type, valueOffset + j * (typeSizes[type] || 1)));
+          }
+          tags.set(tag, values.length === 1 ? values[0] : values);
+        }
+      }
+      return tags;
+    };
+    
+    const ifd0 = readIFD(view.getUint32(tiffOffset + 4, littleEndian));
+    const exifIFD = ifd0.has(0x8769) ? readIFD(ifd0.get(0x8769)) : new Map();
+    const gpsIFD = ifd0.has(0x8825) ? readIFD(ifd0.get(0x8825)) : new Map();
+    
+    const metadata = {
+      make: ifd0.get(0x010F),
+      model: ifd0.get(0x0110),
+      captureDate: this.parseExifDate(exifIFD.get(0x9003) || ifd0.get(0x0132))
+    };
+    
+    const toDegrees = (parts) => Array.isArray(parts) ? parts[0] + (parts[1] || 0) / 60 + (parts[2] || 0) / 3600 : NaN;
+    const latitude = toDegrees(gpsIFD.get(0x0002));
+    const longitude = toDegrees(gpsIFD.get(0x0004));
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+      metadata.gps = {
+        latitude: gpsIFD.get(0x0001) === 'S' ? -latitude : latitude,
+        longitude: gpsIFD.get(0x0003) === 'W' ? -longitude : longitude
+      };
+    }
+    
+    return metadata;
+  }
+
+  parseExifDate(value) {
+    if (typeof value !== 'string') return null;
+    // EXIF dates look like "2024:03:18 14:22:05", with no time zone
+    const match = value.match(/^(\d{4})[:-](\d{2})[:-](\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+    if (!match) return null;
+    
+    const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+    const date = new Date(year, month - 1, day, hours, minutes, seconds || 0);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  mergeXMPMetadata(xmp, metadata) {
+    // XMP properties appear either as attributes or as elements depending on the writer
+    const readProperty = (name) => {
+      const match = xmp.match(new RegExp(`${name}(?:="([^"]*)"|>([^<]*)<)`));
+      return match ? (match[1] ?? match[2]).trim() : null;
+    };
+    
+    metadata.make = metadata.make || readProperty('tiff:Make');
+    metadata.model = metadata.model || readProperty('tiff:Model');
+    metadata.captureDate = metadata.captureDate ||
+      this.parseExifDate(readProperty('exif:DateTimeOriginal') || readProperty('xmp:CreateDate') || readProperty('photoshop:DateCreated'));
+    
+    // XMP stores coordinates as strings like "37,46.5N"; presence is what matters here
+    const latitude = readProperty('exif:GPSLatitude');
+    const longitude = readProperty('exif:GPSLongitude');
+    if (!metadata.gps && latitude && longitude) {
+      metadata.gps = { latitude, longitude };
+    }
+  }
+
+  toggleImageInfo() {
+    this.imageInfoOpen = !this.imageInfoOpen;
+    this.updateImageInfo();
+  }
+
+  updateImageInfo() {
+    const panel = document.getElementById('front-image-info');
+    const infoBtn = document.getElementById('front-info-btn');
+    if (!panel || !infoBtn) return;
+    
+    const metadata = this.imageMetadata?.loaded ? this.imageMetadata : null;
+    infoBtn.style.display = metadata ? 'flex' : 'none';
+    infoBtn.classList.toggle('active', !!metadata && this.imageInfoOpen);
+    infoBtn.classList.toggle('warning', !!metadata?.gps);
+    infoBtn.title = metadata?.gps ? 'Image details (contains location data)' : 'Image details';
+    
+    if (!metadata || !this.imageInfoOpen) {
+      panel.style.display = 'none';
+      return;
+    }
+    
+    const rows = [];
+    const camera = [metadata.make, metadata.model]
+      .filter(Boolean)
+      // Many models already start with the make ("Apple iPhone 15" style)
+      .filter((part, index, parts) => index === 0 || !part.toLowerCase().startsWith(parts[0].toLowerCase()));
+    if (camera.length > 0) rows.push(['Camera', camera.join(' ')]);
+    if (metadata.captureDate) rows.push(['Taken', metadata.captureDate.toLocaleString()]);
+    if (metadata.width && metadata.height) rows.push(['Dimensions', `${metadata.width} × ${metadata.height} px`]);
+    rows.push(['File size', this.formatFileSize(metadata.fileSize)]);
+    if (metadata.contentType) rows.push(['Type', metadata.contentType]);
+    rows.push(['Location', metadata.gps ? 'Embedded' : (metadata.exifChecked ? 'None' : 'Unknown')]);
+    
+    const title = document.createElement('div');
+    title.className = 'front-image-info-title';
+    title.textContent = 'Image details';
+    panel.replaceChildren(title);
+    
+    if (metadata.gps) {
+      const warning = document.createElement('div');
+      warning.className = 'front-image-info-warning';
+      warning.textContent = 'This photo contains GPS location data. Anyone you forward it to can see where it was taken.';
+      panel.appendChild(warning);
+    }
+    
+    const list = document.createElement('dl');
+    list.className = 'front-image-info-list';
+    rows.forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      list.append(term, description);
+    });
+    panel.appendChild(list);
+    panel.style.display = 'block';
+  }
+
+  formatFileSize(bytes) {
+    if (!Number.isFinite(bytes)) return 'Unknown';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  async renderPDF(blob) {
+    const viewer = document.getElementById('front-viewer');
+    this.teardownPDFRendering();
+    const generation = this.pdfRenderGeneration;
+    
+    try {
+      if (typeof pdfjsLib === 'undefined') {
+        throw new Error('PDF.js not loaded');
+      }
+      
+      if (!this.isExtensionContextValid()) {
+        throw new Error('Extension context invalidated - please refresh the page');
+      }
+      
+      this.configurePDFWorker();
 
-      const pdfUrl = URL.createObjectURL(blob);
-      const pdf = await pdfjsLib.getDocument({ url: pdfUrl }).promise;
+      const attachment = this.getCurrentAttachment();
+      const hash = attachment?.hash || null;
+      let enteredPassword = null;
+
+      // Pages are fetched lazily while scrolling, so hand PDF.js the bytes rather than a revocable URL
+      const data = new Uint8Array(await blob.arrayBuffer());
+      const loadingTask = pdfjsLib.getDocument({ data, password: this.pdfPasswords.get(hash) });
+      loadingTask.onPassword = (updatePassword, reason) => {
+        if (generation !== this.pdfRenderGeneration) return;
+        
+        const incorrect = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+        this.showPDFPasswordPrompt(attachment?.filename, incorrect, (password) => {
+          enteredPassword = password;
+          this.showLoadingState(attachment?.filename);
+          updatePassword(password);
+        });
+      };
+      this.pdfLoadingTask = loadingTask;
+      
+      const pdf = await loadingTask.promise;
+      if (generation !== this.pdfRenderGeneration) {
+        pdf.destroy();
+        return;
+      }
+      this.pdfLoadingTask = null;
       this.currentPdf = pdf;
+      this.currentPdfHash = hash;
+      if (enteredPassword !== null && hash) {
+        this.pdfPasswords.set(hash, enteredPassword);
+      }
+      this.restorePDFFormValues(pdf);
 
       await this.renderPDFPages(pdf, viewer);
-      URL.revokeObjectURL(pdfUrl);
       this.updateZoomDisplay();
     } catch (error) {
+      // Another attachment took over the viewer while this one was loading
+      if (generation !== this.pdfRenderGeneration) return;
+      
       if (error.message.includes('Extension context invalidated') || 
           error.message.includes('context invalidated')) {
         this.renderContextInvalidatedError();
@@ -1148,6 +2692,56 @@ class FrontAttachmentViewer {
     }
   }
 
+  showPDFPasswordPrompt(filename, incorrect, onSubmit) {
+    const viewer = document.getElementById('front-viewer');
+    viewer.innerHTML = `
+      <form class="front-attachment-error front-pdf-password" id="front-pdf-password-form">
+        <div class="front-attachment-error-icon">🔒</div>
+        <div style="font-size: 18px; font-weight: 600; color: var(--front-text-primary);">Password Protected</div>
+        <div style="color: var(--front-text-secondary);">Enter the password to open this PDF</div>
+        <input type="password" class="front-pdf-password-input" id="front-pdf-password-input" autocomplete="off" placeholder="Password">
+        <div class="front-pdf-password-error" id="front-pdf-password-error" style="display: ${incorrect ? 'block' : 'none'};">Incorrect password, please try again</div>
+        <button type="submit" class="front-attachment-nav-button success" style="padding: 10px 24px; font-size: 14px; font-weight: 600;">
+          Unlock
+        </button>
+      </form>
+    `;
+    
+    const form = document.getElementById('front-pdf-password-form');
+    const input = document.getElementById('front-pdf-password-input');
+    if (filename) input.setAttribute('aria-label', `Password for ${filename}`);
+    
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (!input.value) return;
+      onSubmit(input.value);
+    });
+    input.focus();
+  }
+
+  configurePDFWorker() {
+    try {
+      pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('libs/pdfjs/pdf.worker.min.js');
+    } catch (contextError) {
+      pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+    }
+  }
+
+  // Only PDF.js ships with the content script; libraries for other formats are injected into
+  // the tab by the background worker the first time a file needs them
+  loadLibrary(name) {
+    if (!this.libraryLoads.has(name)) {
+      // Deferred so an invalidated extension context rejects instead of throwing
+      const load = Promise.resolve().then(() => chrome.runtime.sendMessage({ type: 'load-library', name })).then((response) => {
+        if (!response || !response.ok) throw new Error(`the ${name} library could not be loaded`);
+      });
+      // A failed injection is tried again the next time
+      load.catch(() => this.libraryLoads.delete(name));
+      this.libraryLoads.set(name, load);
+    }
+    return this.libraryLoads.get(name);
+  }
+
   isExtensionContextValid() {
     try {
       return !!(chrome && chrome.runtime && chrome.runtime.getURL);
@@ -1174,124 +2768,3542 @@ class FrontAttachmentViewer {
     `;
   }
 
-  async renderPDFPages(pdf, viewer) {
+  async renderPDFPages(pdf, viewer) {
+    const generation = this.pdfRenderGeneration;
+    
+    // Page 1 sizes the placeholders and the fit zoom modes, so fetch it before building the container
+    const firstPage = pdf.numPages > 0 ? await pdf.getPage(1) : null;
+    if (generation !== this.pdfRenderGeneration) return;
+    
+    const defaultViewport = firstPage && this.getPageViewport(firstPage, CONSTANTS.PDF_RENDERING.BASE_SCALE);
+    if (defaultViewport) {
+      this.updateModeZoomLevel({ width: defaultViewport.width, height: defaultViewport.height, isPDF: true });
+    }
+    
+    viewer.innerHTML = `
+      <div class="front-attachment-content">
+        <div id="front-pdf-container" style="padding-top: 16px; transform: scale(${this.zoomLevel}); transform-origin: 0 0;"></div>
+      </div>
+    `;
+    const container = document.getElementById('front-pdf-container');
+    this.trackZoomTarget(container);
+    
+    this.pdfRenderingConfig = this.getPDFRenderingConfig();
+    this.lastPdfRenderZoom = this.zoomLevel;
+    if (!firstPage) return;
+    
+    // Every page gets a placeholder sized like page 1 so the scroll height is right
+    // from the start; real sizes are filled in by measurePDFPages
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const pageContainer = this.createPageContainer(pageNum, defaultViewport, this.pdfRenderingConfig.baseScale);
+      this.pagePlaceholders.set(pageNum, pageContainer);
+      container.appendChild(pageContainer);
+    }
+    this.isVirtualScrolling = true;
+    this.updatePageIndicator();
+    this.buildThumbnails(pdf, defaultViewport);
+    this.loadOutline(pdf, generation);
+    
+    // Render first page immediately for fast perceived loading
+    await this.renderPageIfNeeded(1, generation);
+    if (generation !== this.pdfRenderGeneration) return;
+    this.updateZoomDisplay();
+    
+    const scrollRoot = viewer.querySelector('.front-attachment-content');
+    this.setupPageObserver(scrollRoot);
+    this.setupPageTracking(scrollRoot);
+    this.measurePDFPages(pdf, generation);
+  }
+
+  async measurePDFPages(pdf, generation) {
+    const baseScale = this.pdfRenderingConfig.baseScale;
+    
+    try {
+      for (let pageNum = 2; pageNum <= pdf.numPages; pageNum++) {
+        const page = await pdf.getPage(pageNum);
+        if (generation !== this.pdfRenderGeneration) return;
+        
+        const pageContainer = this.pagePlaceholders.get(pageNum);
+        if (pageContainer) {
+          this.setPageContainerSize(pageContainer, this.getPageViewport(page, baseScale));
+        }
+      }
+    } catch (error) {
+      // The document was destroyed while pages were still being measured
+    }
+  }
+
+  setupPageObserver(scrollRoot) {
+    this.intersectionObserver = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        const pageNum = parseInt(entry.target.getAttribute('data-page-number'), 10);
+        if (entry.isIntersecting) {
+          this.nearbyPages.add(pageNum);
+          this.queuePageRender(pageNum);
+        } else {
+          this.nearbyPages.delete(pageNum);
+        }
+      });
+      
+      this.releaseDistantPages();
+    }, {
+      root: scrollRoot,
+      rootMargin: CONSTANTS.PDF_RENDERING.PRERENDER_MARGIN
+    });
+    
+    this.pagePlaceholders.forEach(pageContainer => this.intersectionObserver.observe(pageContainer));
+  }
+
+  queuePageRender(pageNum) {
+    if (this.renderedPages.has(pageNum) || this.renderQueue.includes(pageNum)) return;
+    
+    this.renderQueue.push(pageNum);
+    this.processRenderQueue();
+  }
+
+  async processRenderQueue() {
+    if (this.isRendering) return;
+    
+    this.isRendering = true;
+    const generation = this.pdfRenderGeneration;
+    
+    while (this.renderQueue.length > 0 && generation === this.pdfRenderGeneration) {
+      const pageNum = this.takeNextQueuedPage();
+      
+      // Pages can scroll away again while they wait in the queue
+      if (this.nearbyPages.has(pageNum)) {
+        await this.renderPageIfNeeded(pageNum, generation);
+      }
+    }
+    
+    this.isRendering = false;
+    
+    // A new document may have queued pages while the previous loop was finishing
+    if (this.renderQueue.length > 0) {
+      this.processRenderQueue();
+    }
+  }
+
+  takeNextQueuedPage() {
+    // Render the pages closest to what the user is looking at first
+    const anchor = this.nearbyPages.size > 0 ? Math.min(...this.nearbyPages) : 1;
+    let bestIndex = 0;
+    
+    this.renderQueue.forEach((pageNum, index) => {
+      if (Math.abs(pageNum - anchor) < Math.abs(this.renderQueue[bestIndex] - anchor)) {
+        bestIndex = index;
+      }
+    });
+    
+    return this.renderQueue.splice(bestIndex, 1)[0];
+  }
+
+  async renderPageIfNeeded(pageNum, generation) {
+    const pageContainer = this.pagePlaceholders.get(pageNum);
+    if (!pageContainer || this.renderedPages.has(pageNum)) return;
+    
+    this.renderedPages.add(pageNum);
+    const token = {};
+    this.pageRenderTokens.set(pageNum, token);
+    
+    try {
+      const page = await this.currentPdf.getPage(pageNum);
+      if (generation !== this.pdfRenderGeneration) return;
+      
+      const rendered = await this.renderPDFPage(page, pageContainer, this.pdfRenderingConfig);
+      if (rendered && generation === this.pdfRenderGeneration) {
+        this.applySearchHighlightsToPage(pageNum);
+      }
+    } catch (error) {
+      // Cancelled when the page scrolled away or the zoom changed mid-render; if it has scrolled
+      // back since, the newer render owns the page's entries
+      if (this.pageRenderTokens.get(pageNum) === token) this.renderedPages.delete(pageNum);
+    } finally {
+      if (this.pageRenderTokens.get(pageNum) === token) {
+        this.pageRenderTasks.delete(pageNum);
+        this.pageRenderTokens.delete(pageNum);
+      }
+    }
+  }
+
+  releaseDistantPages() {
+    if (this.nearbyPages.size === 0) return;
+    
+    const firstNearby = Math.min(...this.nearbyPages);
+    const lastNearby = Math.max(...this.nearbyPages);
+    const keepDistance = CONSTANTS.PDF_RENDERING.KEEP_RENDERED_DISTANCE;
+    
+    for (const pageNum of Array.from(this.renderedPages)) {
+      if (pageNum < firstNearby - keepDistance || pageNum > lastNearby + keepDistance) {
+        this.releasePage(pageNum);
+      }
+    }
+  }
+
+  releasePage(pageNum) {
+    this.cancelPageRender(pageNum);
+    this.renderedPages.delete(pageNum);
+    this.pageTextDivs.delete(pageNum);
+    
+    const pageContainer = this.pagePlaceholders.get(pageNum);
+    if (pageContainer) {
+      this.releasePageCanvases(pageContainer);
+      pageContainer.replaceChildren();
+    }
+  }
+
+  cancelPageRender(pageNum) {
+    const renderTask = this.pageRenderTasks.get(pageNum);
+    if (renderTask) {
+      renderTask.cancel();
+      this.pageRenderTasks.delete(pageNum);
+    }
+  }
+
+  releasePageCanvases(pageContainer) {
+    // Zero-sized canvases let the browser free the backing store immediately
+    pageContainer.querySelectorAll('canvas').forEach((canvas) => {
+      canvas.width = 0;
+      canvas.height = 0;
+    });
+  }
+
+  teardownPDFRendering() {
+    this.pdfRenderGeneration++;
+    
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+      this.intersectionObserver = null;
+    }
+    
+    this.pageRenderTasks.forEach(renderTask => renderTask.cancel());
+    this.pageRenderTasks.clear();
+    this.pageRenderTokens.clear();
+    this.pagePlaceholders.forEach(pageContainer => this.releasePageCanvases(pageContainer));
+    this.pagePlaceholders.clear();
+    this.renderedPages.clear();
+    this.nearbyPages.clear();
+    this.pageTextDivs.clear();
+    this.pageTextContent.clear();
+    this.pageSearchIndex.clear();
+    this.renderQueue = [];
+    this.isVirtualScrolling = false;
+    this.pendingSearchScrollIndex = null;
+    this.currentPageNum = 1;
+    this.pdfFieldObjectsPromise = null;
+    this.updatePageIndicator();
+    
+    // A document still waiting on its password prompt
+    if (this.pdfLoadingTask) {
+      this.pdfLoadingTask.destroy();
+      this.pdfLoadingTask = null;
+    }
+    this.teardownThumbnails();
+    this.teardownOutline();
+    
+    if (this.currentPdf) {
+      this.savePDFFormValues();
+      this.currentPdf.destroy();
+      this.currentPdf = null;
+      this.currentPdfHash = null;
+    }
+  }
+
+  savePDFFormValues() {
+    const values = this.currentPdf.annotationStorage.getAll();
+    if (values && this.currentPdfHash) {
+      this.pdfFormValues.set(this.currentPdfHash, values);
+    }
+  }
+
+  restorePDFFormValues(pdf) {
+    const values = this.pdfFormValues.get(this.currentPdfHash);
+    if (values) {
+      pdf.annotationStorage.setAll(values);
+    }
+  }
+
+  hasFilledFormFields() {
+    return !!this.currentPdf && this.currentPdf.annotationStorage.size > 0;
+  }
+
+  setupPageTracking(scrollRoot) {
+    let frame = null;
+    
+    scrollRoot.addEventListener('scroll', () => {
+      if (frame) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        this.updateCurrentPage();
+      });
+    }, { passive: true });
+  }
+
+  updateCurrentPage() {
+    const pageNum = this.findPageInView();
+    if (pageNum === this.currentPageNum) return;
+    
+    this.currentPageNum = pageNum;
+    this.updateThumbnailSelection();
+    this.updatePageIndicator();
+  }
+
+  goToPage(pageNum) {
+    if (!Number.isFinite(pageNum) || this.pagePlaceholders.size === 0) {
+      this.updatePageIndicator();
+      return;
+    }
+    
+    const targetPage = Math.min(Math.max(1, pageNum), this.pagePlaceholders.size);
+    this.scrollToPDFPage(targetPage);
+    this.updateCurrentPage();
+  }
+
+  updatePageIndicator() {
+    const indicator = document.getElementById('front-page-indicator');
+    const input = document.getElementById('front-page-input');
+    const total = document.getElementById('front-page-total');
+    if (!indicator || !input || !total) return;
+    
+    const pageCount = this.pagePlaceholders.size;
+    indicator.style.display = pageCount > 0 ? 'flex' : 'none';
+    total.textContent = `/ ${pageCount}`;
+    input.style.width = `${Math.max(2, String(pageCount).length) + 1}ch`;
+    
+    // Don't overwrite what the user is typing
+    if (document.activeElement !== input) {
+      input.value = this.currentPageNum;
+    }
+  }
+
+  findPageInView() {
+    const scrollRoot = document.querySelector('.front-attachment-content');
+    if (!scrollRoot || this.pagePlaceholders.size === 0) return 1;
+    
+    // The last page whose top edge has passed the upper third of the viewport is the current one
+    const rootRect = scrollRoot.getBoundingClientRect();
+    const anchorY = rootRect.top + rootRect.height / 3;
+    let low = 1;
+    let high = this.pagePlaceholders.size;
+    
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.pagePlaceholders.get(mid).getBoundingClientRect().top <= anchorY) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    
+    return low;
+  }
+
+  buildThumbnails(pdf, defaultViewport) {
+    const list = document.getElementById('front-thumbnails');
+    if (!list) return;
+    
+    const width = CONSTANTS.THUMBNAILS.WIDTH;
+    const placeholderHeight = Math.round(width * defaultViewport.height / defaultViewport.width);
+    
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const thumbnail = document.createElement('button');
+      thumbnail.type = 'button';
+      thumbnail.className = 'front-thumbnail';
+      thumbnail.title = `Page ${pageNum}`;
+      thumbnail.setAttribute('data-page-number', pageNum);
+      thumbnail.innerHTML = `
+        <div class="front-thumbnail-image" style="width: ${width}px; height: ${placeholderHeight}px;"></div>
+        <div class="front-thumbnail-label">${pageNum}</div>
+        <div class="front-thumbnail-matches"></div>
+      `;
+      thumbnail.addEventListener('click', () => this.scrollToPDFPage(pageNum));
+      
+      this.thumbnailElements.set(pageNum, thumbnail);
+      list.appendChild(thumbnail);
+    }
+    
+    // Thumbnails only intersect while the sidebar is open, so nothing renders while it is collapsed
+    this.thumbnailObserver = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+        const pageNum = parseInt(entry.target.getAttribute('data-page-number'), 10);
+        this.queueThumbnailRender(pageNum);
+      });
+    }, {
+      root: list,
+      rootMargin: CONSTANTS.THUMBNAILS.PRERENDER_MARGIN
+    });
+    
+    this.thumbnailElements.forEach(thumbnail => this.thumbnailObserver.observe(thumbnail));
+    this.updateThumbnailSelection();
+    this.updateThumbnailSearchMarkers();
+    this.updateSidebarVisibility();
+  }
+
+  queueThumbnailRender(pageNum) {
+    if (this.renderedThumbnails.has(pageNum) || this.thumbnailQueue.includes(pageNum)) return;
+    
+    this.thumbnailQueue.push(pageNum);
+    this.processThumbnailQueue();
+  }
+
+  async processThumbnailQueue() {
+    if (this.isRenderingThumbnails) return;
+    
+    this.isRenderingThumbnails = true;
+    const generation = this.pdfRenderGeneration;
+    
+    while (this.thumbnailQueue.length > 0 && generation === this.pdfRenderGeneration) {
+      const pageNum = this.thumbnailQueue.shift();
+      
+      try {
+        await this.renderThumbnail(pageNum, generation);
+      } catch (error) {
+        // Thumbnails are best effort; the page itself still renders
+      }
+    }
+    
+    this.isRenderingThumbnails = false;
+    
+    if (this.thumbnailQueue.length > 0) {
+      this.processThumbnailQueue();
+    }
+  }
+
+  async renderThumbnail(pageNum, generation) {
+    const thumbnail = this.thumbnailElements.get(pageNum);
+    if (!thumbnail || this.renderedThumbnails.has(pageNum)) return;
+    
+    const page = await this.currentPdf.getPage(pageNum);
+    if (generation !== this.pdfRenderGeneration) return;
+    
+    const width = CONSTANTS.THUMBNAILS.WIDTH;
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, CONSTANTS.THUMBNAILS.MAX_PIXEL_RATIO);
+    const unscaledViewport = this.getPageViewport(page, 1);
+    const viewport = this.getPageViewport(page, (width / unscaledViewport.width) * pixelRatio);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    canvas.style.width = width + 'px';
+    canvas.style.height = viewport.height / pixelRatio + 'px';
+    
+    await page.render({
+      canvasContext: canvas.getContext('2d'),
+      viewport,
+      intent: 'display'
+    }).promise;
+    if (generation !== this.pdfRenderGeneration) return;
+    
+    const imageHolder = thumbnail.querySelector('.front-thumbnail-image');
+    imageHolder.style.height = '';
+    imageHolder.replaceChildren(canvas);
+    this.renderedThumbnails.add(pageNum);
+  }
+
+  updateThumbnailSelection() {
+    const list = document.getElementById('front-thumbnails');
+    
+    this.thumbnailElements.forEach((thumbnail, pageNum) => {
+      thumbnail.classList.toggle('current', pageNum === this.currentPageNum);
+    });
+    
+    // Keep the highlighted thumbnail visible without scrolling anything outside the sidebar
+    const current = this.thumbnailElements.get(this.currentPageNum);
+    if (list && current) {
+      const top = current.offsetTop;
+      const bottom = top + current.offsetHeight;
+      if (top < list.scrollTop) {
+        list.scrollTop = top;
+      } else if (bottom > list.scrollTop + list.clientHeight) {
+        list.scrollTop = bottom - list.clientHeight;
+      }
+    }
+  }
+
+  updateThumbnailSearchMarkers() {
+    const matchCounts = new Map();
+    this.searchResults.forEach((result) => {
+      matchCounts.set(result.pageNum, (matchCounts.get(result.pageNum) || 0) + 1);
+    });
+    
+    this.thumbnailElements.forEach((thumbnail, pageNum) => {
+      const count = matchCounts.get(pageNum) || 0;
+      thumbnail.classList.toggle('has-matches', count > 0);
+      thumbnail.querySelector('.front-thumbnail-matches').textContent = count > 0 ? count : '';
+    });
+  }
+
+  teardownThumbnails() {
+    if (this.thumbnailObserver) {
+      this.thumbnailObserver.disconnect();
+      this.thumbnailObserver = null;
+    }
+    
+    this.thumbnailElements.forEach(thumbnail => this.releasePageCanvases(thumbnail));
+    this.thumbnailElements.clear();
+    this.renderedThumbnails.clear();
+    this.thumbnailQueue = [];
+    
+    const list = document.getElementById('front-thumbnails');
+    if (list) list.replaceChildren();
+    this.updateSidebarVisibility();
+  }
+
+  async loadOutline(pdf, generation) {
+    const panel = document.getElementById('front-outline');
+    if (!panel) return;
+    
+    let outline = null;
+    try {
+      outline = await pdf.getOutline();
+    } catch (error) {
+      // A broken outline is treated like a missing one
+    }
+    if (generation !== this.pdfRenderGeneration) return;
+    
+    if (!outline || outline.length === 0) {
+      panel.innerHTML = '<div class="front-outline-empty">This document has no outline</div>';
+      return;
+    }
+    
+    panel.replaceChildren(this.buildOutlineTree(outline));
+  }
+
+  buildOutlineTree(items) {
+    const list = document.createElement('ul');
+    list.className = 'front-outline-list';
+    
+    items.forEach((item) => {
+      const entry = document.createElement('li');
+      entry.className = 'front-outline-item';
+      
+      const row = document.createElement('div');
+      row.className = 'front-outline-row';
+      
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'front-outline-toggle';
+      toggle.textContent = '▸';
+      row.appendChild(toggle);
+      
+      const link = document.createElement('button');
+      link.type = 'button';
+      link.className = 'front-outline-link';
+      link.textContent = item.title;
+      link.title = item.title;
+      if (item.bold) link.style.fontWeight = '600';
+      if (item.italic) link.style.fontStyle = 'italic';
+      link.addEventListener('click', () => this.openOutlineItem(item));
+      row.appendChild(link);
+      
+      entry.appendChild(row);
+      
+      if (item.items && item.items.length > 0) {
+        entry.appendChild(this.buildOutlineTree(item.items));
+        // A negative count means the author saved this entry collapsed
+        entry.classList.toggle('collapsed', item.count < 0);
+        toggle.addEventListener('click', () => entry.classList.toggle('collapsed'));
+      } else {
+        toggle.classList.add('empty');
+      }
+      
+      list.appendChild(entry);
+    });
+    
+    return list;
+  }
+
+  openOutlineItem(item) {
+    if (item.url) {
+      window.open(item.url, '_blank', 'noopener');
+    } else if (item.dest) {
+      this.goToPDFDestination(item.dest);
+    }
+  }
+
+  async goToPDFDestination(dest) {
+    const pdf = this.currentPdf;
+    if (!pdf) return;
+    
+    try {
+      const explicitDest = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+      if (!Array.isArray(explicitDest)) return;
+      
+      const [pageRef, fit, ...args] = explicitDest;
+      const pageIndex = Number.isInteger(pageRef) ? pageRef : await pdf.getPageIndex(pageRef);
+      const pageNum = pageIndex + 1;
+      if (pdf !== this.currentPdf || !this.pagePlaceholders.has(pageNum)) return;
+      
+      this.scrollToPDFPage(pageNum, await this.getDestinationOffset(pdf, pageNum, fit, args));
+    } catch (error) {
+      // Destinations pointing at missing pages are ignored
+    }
+  }
+
+  async getDestinationOffset(pdf, pageNum, fit, args) {
+    let left = 0;
+    let top = null;
+    
+    // Destination coordinates are PDF user space, with y measured from the bottom of the page
+    switch (fit && fit.name) {
+      case 'XYZ':
+        left = args[0] || 0;
+        top = args[1];
+        break;
+      case 'FitH':
+      case 'FitBH':
+        top = args[0];
+        break;
+      case 'FitR':
+        left = args[0];
+        top = args[3];
+        break;
+    }
+    
+    if (top === null || top === undefined) return 0;
+    
+    const page = await pdf.getPage(pageNum);
+    const viewport = this.getPageViewport(page, this.pdfRenderingConfig.baseScale);
+    const [, y] = viewport.convertToViewportPoint(left, top);
+    return Math.max(0, y);
+  }
+
+  teardownOutline() {
+    const panel = document.getElementById('front-outline');
+    if (panel) panel.replaceChildren();
+  }
+
+  showSidebarPanel(panel) {
+    this.sidebarPanel = panel;
+    
+    document.querySelectorAll('.front-sidebar-tab').forEach((tab) => {
+      tab.classList.toggle('active', tab.getAttribute('data-panel') === panel);
+    });
+    document.getElementById('front-thumbnails').style.display = panel === 'thumbnails' ? 'flex' : 'none';
+    document.getElementById('front-outline').style.display = panel === 'outline' ? 'block' : 'none';
+    
+    if (panel === 'thumbnails') {
+      this.updateThumbnailSelection();
+    }
+  }
+
+  toggleSidebar() {
+    this.sidebarOpen = !this.sidebarOpen;
+    this.updateSidebarVisibility();
+  }
+
+  updateSidebarVisibility() {
+    const sidebar = document.getElementById('front-sidebar');
+    const sidebarBtn = document.getElementById('front-sidebar-btn');
+    if (!sidebar || !sidebarBtn) return;
+    
+    const hasPages = this.thumbnailElements.size > 0;
+    const isOpen = hasPages && this.sidebarOpen;
+    
+    sidebarBtn.style.display = hasPages ? 'flex' : 'none';
+    sidebarBtn.classList.toggle('active', isOpen);
+    sidebar.classList.toggle('open', isOpen);
+    this.overlay.classList.toggle('sidebar-open', isOpen);
+  }
+
+  getPDFRenderingConfig() {
+    const baseScale = 1.5;
+    const dpiScale = window.devicePixelRatio || 1;
+    const qualityMultiplier = this.zoomLevel > 2.0 ? Math.min(this.zoomLevel * 0.8, 2) : 1;
+    const renderScale = baseScale * dpiScale * qualityMultiplier;
+    
+    return { baseScale, dpiScale, qualityMultiplier, renderScale };
+  }
+
+  async renderPDFPage(page, pageContainer, config) {
+    const pageNum = page.pageNumber;
+    const canvasViewport = this.getPageViewport(page, config.renderScale);
+    const canvas = document.createElement('canvas');
+    
+    this.setPageContainerSize(pageContainer, this.getPageViewport(page, config.baseScale));
+    
+    // Form widgets draw their own appearance in the annotation layer
+    const annotationCanvasMap = new Map();
+    const context = this.setupCanvas(canvas, canvasViewport, config);
+    await this.renderCanvasContent(page, context, canvasViewport, pageNum, annotationCanvasMap);
+    
+    const textLayerDiv = await this.addTextLayer(page, pageNum, canvas, config.baseScale);
+    const annotationLayerDiv = await this.addAnnotationLayer(page, config.baseScale, annotationCanvasMap);
+    
+    // The page was released or re-queued while rendering; keep whatever is on screen
+    if (!this.renderedPages.has(pageNum)) {
+      canvas.width = 0;
+      canvas.height = 0;
+      return false;
+    }
+    
+    this.releasePageCanvases(pageContainer);
+    pageContainer.replaceChildren(canvas, textLayerDiv);
+    if (annotationLayerDiv) {
+      pageContainer.appendChild(annotationLayerDiv);
+    }
+    return true;
+  }
+
+  setupCanvas(canvas, viewport, config) {
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    canvas.style.width = viewport.width / (config.dpiScale * config.qualityMultiplier) + 'px';
+    canvas.style.height = viewport.height / (config.dpiScale * config.qualityMultiplier) + 'px';
+    
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.imageSmoothingEnabled = true;
+    context.imageSmoothingQuality = 'high';
+    
+    return context;
+  }
+
+  async renderCanvasContent(page, context, viewport, pageNum, annotationCanvasMap) {
+    const renderTask = page.render({ 
+      canvasContext: context, 
+      viewport: viewport,
+      intent: 'display',
+      annotationMode: pdfjsLib.AnnotationMode.ENABLE_FORMS,
+      annotationCanvasMap
+    });
+    
+    this.pageRenderTasks.set(pageNum, renderTask);
+    await renderTask.promise;
+  }
+
+  createPageContainer(pageNum, viewport, baseScale) {
+    const pageContainer = document.createElement('div');
+    pageContainer.className = 'front-pdf-page';
+    pageContainer.style.position = 'relative';
+    pageContainer.style.marginBottom = '16px';
+    pageContainer.style.setProperty('--scale-factor', baseScale);
+    pageContainer.setAttribute('data-page-number', pageNum);
+    pageContainer.style.maxWidth = '100%';
+    this.setPageContainerSize(pageContainer, viewport);
+    return pageContainer;
+  }
+
+  setPageContainerSize(pageContainer, viewport) {
+    pageContainer.style.width = viewport.width + 'px';
+    pageContainer.style.height = viewport.height + 'px';
+  }
+
+  async addTextLayer(page, pageNum, canvas, baseScale) {
+    const textContent = await this.getPageTextContent(pageNum);
+    const textLayerDiv = document.createElement('div');
+    const textDivs = [];
+    
+    this.setupTextLayer(textLayerDiv, canvas, pageNum);
+    
+    const textViewport = this.getPageViewport(page, baseScale);
+    await pdfjsLib.renderTextLayer({ 
+      textContentSource: textContent, 
+      container: textLayerDiv, 
+      viewport: textViewport, 
+      textDivs
+    }).promise;
+    
+    // textDivs[i] is the span for textContent.items[i]; search highlights rely on this
+    this.pageTextDivs.set(pageNum, textDivs);
+    return textLayerDiv;
+  }
+
+  async addAnnotationLayer(page, baseScale, annotationCanvasMap) {
+    const { LINK, WIDGET } = CONSTANTS.PDF_RENDERING.ANNOTATION_TYPES;
+    const annotations = (await page.getAnnotations({ intent: 'display' }))
+      .filter(annotation => annotation.annotationType === LINK || annotation.annotationType === WIDGET);
+    if (annotations.length === 0) return null;
+    
+    const annotationLayerDiv = document.createElement('div');
+    annotationLayerDiv.className = 'annotationLayer';
+    annotationLayerDiv.style.setProperty('--scale-factor', baseScale);
+    
+    const annotationLayer = new pdfjsLib.AnnotationLayer({
+      div: annotationLayerDiv,
+      page,
+      viewport: this.getPageViewport(page, baseScale).clone({ dontFlip: true }),
+      annotationCanvasMap
+    });
+    
+    // Values typed into fields land in the document's annotationStorage, which saveDocument() writes out
+    await annotationLayer.render({
+      annotations,
+      linkService: this.getPDFLinkService(),
+      annotationStorage: this.currentPdf.annotationStorage,
+      fieldObjects: await this.getPDFFieldObjects(),
+      renderForms: true,
+      enableScripting: false,
+      hasJSActions: false,
+      imageResourcesPath: ''
+    });
+    
+    return annotationLayerDiv;
+  }
+
+  getPDFFieldObjects() {
+    // Radio groups and mirrored fields need the document-wide field list
+    if (!this.pdfFieldObjectsPromise) {
+      this.pdfFieldObjectsPromise = this.currentPdf.getFieldObjects().catch(() => null);
+    }
+    return this.pdfFieldObjectsPromise;
+  }
+
+  // Minimal stand-in for PDF.js' PDFLinkService; the annotation layer calls these hooks
+  getPDFLinkService() {
+    if (!this.pdfLinkService) {
+      this.pdfLinkService = {
+        externalLinkEnabled: true,
+        isInPresentationMode: false,
+        eventBus: null,
+        getDestinationHash: () => '#',
+        getAnchorUrl: () => '#',
+        addLinkAttributes: (link, url) => {
+          link.href = url;
+          link.title = url;
+          link.target = '_blank';
+          link.rel = 'noopener noreferrer nofollow';
+        },
+        goToDestination: (dest) => this.goToPDFDestination(dest),
+        goToPage: (pageNum) => this.goToPage(pageNum),
+        executeNamedAction: (action) => this.executePDFNamedAction(action),
+        executeSetOCGState: () => {}
+      };
+    }
+    return this.pdfLinkService;
+  }
+
+  executePDFNamedAction(action) {
+    switch (action) {
+      case 'NextPage':
+        this.goToPage(this.findPageInView() + 1);
+        break;
+      case 'PrevPage':
+        this.goToPage(this.findPageInView() - 1);
+        break;
+      case 'FirstPage':
+        this.goToPage(1);
+        break;
+      case 'LastPage':
+        this.goToPage(this.pagePlaceholders.size);
+        break;
+    }
+  }
+
+  async getPageTextContent(pageNum) {
+    if (!this.pageTextContent.has(pageNum)) {
+      const page = await this.currentPdf.getPage(pageNum);
+      this.pageTextContent.set(pageNum, await page.getTextContent());
+    }
+    return this.pageTextContent.get(pageNum);
+  }
+
+  setupTextLayer(textLayerDiv, canvas, pageNum) {
+    textLayerDiv.className = 'textLayer';
+    textLayerDiv.style.position = 'absolute';
+    textLayerDiv.style.top = '0';
+    textLayerDiv.style.left = '0';
+    textLayerDiv.style.width = canvas.style.width;
+    textLayerDiv.style.height = canvas.style.height;
+    textLayerDiv.style.pointerEvents = 'auto';
+    textLayerDiv.style.userSelect = 'text';
+    textLayerDiv.style.color = 'transparent';
+    textLayerDiv.style.overflow = 'hidden';
+    textLayerDiv.setAttribute('data-page-number', pageNum);
+  }
+
+  async isTextAttachment(blob, contentType, filename) {
+    if (blob.size > CONSTANTS.TEXT_PREVIEW.MAX_SIZE) return false;
+    
+    const ext = filename.split('.').pop().toLowerCase();
+    if (this.isTextType(contentType) || TEXT_LANGUAGE_MAP[ext]) return true;
+    
+    // Anything else is sniffed: binary formats give themselves away with NUL and control bytes early on
+    const bytes = new Uint8Array(await blob.slice(0, CONSTANTS.TEXT_PREVIEW.SNIFF_BYTES).arrayBuffer());
+    if (bytes.length === 0) return false;
+    if (this.getUnicodeEncoding(bytes)) return true;
+    
+    let controlBytes = 0;
+    for (const byte of bytes) {
+      if (byte === 0) return false;
+      // Tab, newlines, form feed and escape (ANSI colours in logs) are fine
+      if (byte < 0x20 && ![0x09, 0x0A, 0x0C, 0x0D, 0x1B].includes(byte)) controlBytes++;
+    }
+    return controlBytes / bytes.length < 0.01;
+  }
+
+  isTextType(contentType) {
+    return contentType.startsWith('text/') ||
+      /^application\/(json|xml|javascript|x-javascript|ecmascript|yaml|x-yaml|toml|sql|x-sh|x-httpd-php)\b/.test(contentType) ||
+      /^application\/[\w.-]+\+(json|xml)\b/.test(contentType);
+  }
+
+  // Byte order marks, or the zero bytes that give away UTF-16 without one
+  getUnicodeEncoding(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    
+    const sample = bytes.subarray(0, CONSTANTS.TEXT_PREVIEW.SNIFF_BYTES);
+    const half = sample.length / 2;
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i++) {
+      if (sample[i] !== 0) continue;
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+    // Every other byte of mostly-ASCII UTF-16 text is zero
+    if (half >= 8 && oddZeros > half * 0.3 && evenZeros < half * 0.05) return 'utf-16le';
+    if (half >= 8 && evenZeros > half * 0.3 && oddZeros < half * 0.05) return 'utf-16be';
+    return null;
+  }
+
+  detectTextEncoding(bytes, contentType) {
+    const unicode = this.getUnicodeEncoding(bytes);
+    if (unicode) return unicode;
+    
+    // Valid UTF-8 beyond plain ASCII is almost never anything else, whatever the headers say
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+      return 'utf-8';
+    } catch (error) {
+      // Fall through to the declared charset
+    }
+    
+    const head = new TextDecoder('latin1').decode(bytes.subarray(0, 1024));
+    const declared = /charset=["']?([\w.:-]+)/i.exec(contentType) ||
+      /<\?xml[^>]*encoding=["']([\w.:-]+)/i.exec(head) ||
+      /<meta[^>]+charset=["']?([\w.:-]+)/i.exec(head);
+    if (declared) {
+      try {
+        return new TextDecoder(declared[1]).encoding;
+      } catch (error) {
+        // Not a charset the browser knows
+      }
+    }
+    
+    // Legacy Windows exports; a superset of Latin-1
+    return 'windows-1252';
+  }
+
+  getTextLanguage(filename, contentType) {
+    const ext = filename.split('.').pop().toLowerCase();
+    if (TEXT_LANGUAGE_MAP[ext]) return TEXT_LANGUAGE_MAP[ext];
+    if (/[/+]json\b/.test(contentType)) return 'json';
+    if (/[/+]xml\b/.test(contentType)) return 'xml';
+    if (/yaml/.test(contentType)) return 'yaml';
+    return null;
+  }
+
+  async decodeTextBlob(blob, contentType) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    return new TextDecoder(this.detectTextEncoding(bytes, contentType)).decode(bytes);
+  }
+
+  async prepareTextDocument(blob, contentType, filename) {
+    const language = this.getTextLanguage(filename, contentType);
+    let text = await this.decodeTextBlob(blob, contentType);
+    
+    if ((language === 'json' || language === 'xml') && this.shouldPrettyPrint(text)) {
+      text = language === 'json' ? this.prettyPrintJSON(text) : this.prettyPrintXML(text);
+    }
+    
+    const lines = text.split(/\r\n|\r|\n/);
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    
+    const tabWidth = CONSTANTS.TEXT_PREVIEW.TAB_SIZE - 1;
+    const columns = lines.reduce((max, line) => Math.max(max, line.length + (line.split('\t').length - 1) * tabWidth), 0);
+    return { lines, language, columns, size: text.length };
+  }
+
+  // Files that already have their own line structure keep it, so line numbers match what
+  // other tools report; minified ones are indented
+  shouldPrettyPrint(text) {
+    const lineCount = text.trim().split('\n').length;
+    return lineCount === 1 || text.length / lineCount > CONSTANTS.TEXT_PREVIEW.PRETTY_PRINT_LINE_LENGTH;
+  }
+
+  prettyPrintJSON(text) {
+    try {
+      JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+    
+    // Re-indent token by token; a JSON.parse/stringify round trip would round long numeric IDs
+    let output = '';
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    const newline = () => '\n' + '  '.repeat(depth);
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      
+      if (inString) {
+        output += char;
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+      
+      switch (char) {
+        case '"':
+          inString = true;
+          output += char;
+          break;
+        case '{':
+        case '[': {
+          let next = i + 1;
+          while (/\s/.test(text[next] || '')) next++;
+          if (text[next] === (char === '{' ? '}' : ']')) {
+            output += char + text[next];
+            i = next;
+          } else {
+            depth++;
+            output += char + newline();
+          }
+          break;
+        }
+        case '}':
+        case ']':
+          depth--;
+          output += newline() + char;
+          break;
+        case ',':
+          output += ',' + newline();
+          break;
+        case ':':
+          output += ': ';
+          break;
+        default:
+          if (!/\s/.test(char)) output += char;
+      }
+    }
+    
+    return output;
+  }
+
+  prettyPrintXML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) return text;
+    
+    // The parser drops the XML declaration, so carry it over by hand
+    const declaration = /^\s*(<\?xml[^>]*\?>)/.exec(text);
+    const lines = declaration ? [declaration[1]] : [];
+    doc.childNodes.forEach(node => this.formatXMLNode(node, 0, lines));
+    return lines.join('\n');
+  }
+
+  formatXMLNode(node, depth, lines) {
+    const indent = '  '.repeat(depth);
+    
+    switch (node.nodeType) {
+      case Node.ELEMENT_NODE: {
+        const name = node.nodeName;
+        const attributes = Array.from(node.attributes)
+          .map(attribute => ` ${attribute.name}="${this.escapeHTML(attribute.value)}"`)
+          .join('');
+        const children = Array.from(node.childNodes)
+          .filter(child => child.nodeType !== Node.TEXT_NODE || child.nodeValue.trim());
+        
+        if (children.length === 0) {
+          lines.push(`${indent}<${name}${attributes}/>`);
+        } else if (children.length === 1 && children[0].nodeType === Node.TEXT_NODE) {
+          lines.push(`${indent}<${name}${attributes}>${this.escapeHTML(children[0].nodeValue.trim())}</${name}>`);
+        } else {
+          lines.push(`${indent}<${name}${attributes}>`);
+          children.forEach(child => this.formatXMLNode(child, depth + 1, lines));
+          lines.push(`${indent}</${name}>`);
+        }
+        break;
+      }
+      case Node.TEXT_NODE:
+        lines.push(indent + this.escapeHTML(node.nodeValue.trim()));
+        break;
+      case Node.CDATA_SECTION_NODE:
+        lines.push(`${indent}<![CDATA[${node.nodeValue}]]>`);
+        break;
+      case Node.COMMENT_NODE:
+        lines.push(`${indent}<!--${node.nodeValue}-->`);
+        break;
+      default:
+        // Doctypes and processing instructions
+        lines.push(indent + new XMLSerializer().serializeToString(node));
+    }
+  }
+
+  escapeHTML(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  async renderText(blob, contentType) {
+    const viewer = document.getElementById('front-viewer');
+    const attachment = this.getCurrentAttachment();
+    
+    const textDocument = await this.prepareTextDocument(blob, contentType, attachment.filename);
+    if (textDocument.language && textDocument.language !== 'log') {
+      // Without highlight.js the file is still shown, just uncoloured
+      await this.loadLibrary('highlight').catch(() => {});
+    }
+    if (!this.isCurrentAttachment(attachment)) return;
+    
+    viewer.innerHTML = `
+      <div class="front-attachment-content front-text-content">
+        <div id="front-text-view" class="front-text-view">
+          <div class="front-text-lines"></div>
+        </div>
+      </div>
+    `;
+    
+    const scrollRoot = viewer.querySelector('.front-text-content');
+    this.currentText = {
+      ...textDocument,
+      highlightedLines: this.highlightTextDocument(textDocument),
+      scrollRoot,
+      view: document.getElementById('front-text-view'),
+      layer: viewer.querySelector('.front-text-lines'),
+      lineHeight: 0,
+      firstLine: 0,
+      lastLine: 0,
+      renderFrame: null
+    };
+    
+    scrollRoot.addEventListener('scroll', () => this.scheduleTextRender(), { passive: true });
+    this.layoutTextView();
+  }
+
+  // Highlights the whole file at once so comments and strings spanning lines come out right;
+  // returns one HTML string per line, or null when the file is too big or has no known language
+  highlightTextDocument(textDocument) {
+    const { lines, language, size } = textDocument;
+    if (!language || language === 'log' || size > CONSTANTS.TEXT_PREVIEW.HIGHLIGHT_MAX_SIZE) return null;
+    if (typeof hljs === 'undefined' || !hljs.getLanguage(language)) return null;
+    
+    try {
+      const html = hljs.highlight(lines.join('\n'), { language, ignoreIllegals: true }).value;
+      const highlightedLines = this.splitHighlightedLines(html);
+      return highlightedLines.length === lines.length ? highlightedLines : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Closes spans still open at each line break and reopens them on the next line,
+  // so every line can be rendered on its own
+  splitHighlightedLines(html) {
+    const lines = [];
+    const openTags = [];
+    const tokenPattern = /<span[^>]*>|<\/span>|\n/g;
+    let line = '';
+    let lastIndex = 0;
+    let match;
+    
+    while ((match = tokenPattern.exec(html)) !== null) {
+      line += html.slice(lastIndex, match.index);
+      lastIndex = tokenPattern.lastIndex;
+      
+      const token = match[0];
+      if (token === '\n') {
+        lines.push(line + '</span>'.repeat(openTags.length));
+        line = openTags.join('');
+      } else {
+        if (token === '</span>') {
+          openTags.pop();
+        } else {
+          openTags.push(token);
+        }
+        line += token;
+      }
+    }
+    
+    lines.push(line + html.slice(lastIndex));
+    return lines;
+  }
+
+  highlightLogLine(line) {
+    // Timestamps and levels contain nothing that escaping changes, so they can be matched afterwards
+    return this.escapeHTML(line)
+      .replace(/\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?/,
+        '<span class="front-log-time">$&</span>')
+      .replace(/\b(?:ERROR|ERR|FATAL|CRITICAL|SEVERE|EXCEPTION)\b/g, '<span class="front-log-error">$&</span>')
+      .replace(/\b(?:WARN|WARNING)\b/g, '<span class="front-log-warn">$&</span>')
+      .replace(/\b(?:DEBUG|TRACE|VERBOSE)\b/g, '<span class="front-log-debug">$&</span>');
+  }
+
+  getTextLineHTML(lineIndex) {
+    const { lines, highlightedLines, language } = this.currentText;
+    if (highlightedLines) return highlightedLines[lineIndex];
+    if (language === 'log') return this.highlightLogLine(lines[lineIndex]);
+    return this.escapeHTML(lines[lineIndex]);
+  }
+
+  // Text zooms through its font size rather than a transform, so lines stay crisp and
+  // the virtual list only has to know the line height
+  layoutTextView() {
+    const text = this.currentText;
+    if (!text) return;
+    
+    const lineHeight = CONSTANTS.TEXT_PREVIEW.LINE_HEIGHT * this.zoomLevel;
+    const topLine = text.lineHeight ? text.scrollRoot.scrollTop / text.lineHeight : 0;
+    const gutterDigits = String(text.lines.length).length;
+    
+    text.lineHeight = lineHeight;
+    text.view.style.fontSize = `${CONSTANTS.TEXT_PREVIEW.FONT_SIZE * this.zoomLevel}px`;
+    text.view.style.setProperty('--front-text-line-height', `${lineHeight}px`);
+    text.view.style.setProperty('--front-text-gutter-width', `${gutterDigits + 2}ch`);
+    text.view.style.width = `max(100%, calc(${gutterDigits + 4 + text.columns}ch + 16px))`;
+    text.layer.style.height = `${text.lines.length * lineHeight}px`;
+    text.scrollRoot.scrollTop = topLine * lineHeight;
+    
+    this.renderTextLines(true);
+  }
+
+  scheduleTextRender() {
+    const text = this.currentText;
+    if (!text || text.renderFrame) return;
+    
+    text.renderFrame = requestAnimationFrame(() => {
+      text.renderFrame = null;
+      this.renderTextLines();
+    });
+  }
+
+  // Only the lines around the viewport are in the DOM, so multi-megabyte logs scroll smoothly
+  renderTextLines(force = false) {
+    const text = this.currentText;
+    if (!text) return;
+    
+    const { lineHeight, scrollRoot, layer } = text;
+    const top = scrollRoot.scrollTop - layer.offsetTop;
+    const visibleFirst = Math.max(0, Math.floor(top / lineHeight));
+    const visibleLast = Math.min(text.lines.length, Math.ceil((top + scrollRoot.clientHeight) / lineHeight));
+    if (!force && visibleFirst >= text.firstLine && visibleLast <= text.lastLine) return;
+    
+    const overscan = CONSTANTS.TEXT_PREVIEW.OVERSCAN_LINES;
+    text.firstLine = Math.max(0, visibleFirst - overscan);
+    text.lastLine = Math.min(text.lines.length, visibleLast + overscan);
+    
+    let html = '';
+    for (let i = text.firstLine; i < text.lastLine; i++) {
+      html += `<div class="front-text-line" style="top: ${i * lineHeight}px;">` +
+        `<span class="front-text-line-number">${i + 1}</span>` +
+        `<span class="front-text-line-code">${this.getTextLineHTML(i)}</span></div>`;
+    }
+    layer.innerHTML = html;
+    
+    this.applyTextSearchHighlights();
+  }
+
+  applyTextSearchHighlights() {
+    const text = this.currentText;
+    if (!text || this.searchResults.length === 0) return;
+    
+    // Results are in line order; find the first one on a rendered line
+    let low = 0;
+    let high = this.searchResults.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.searchResults[middle].pageNum <= text.firstLine) low = middle + 1;
+      else high = middle;
+    }
+    
+    const lineElements = text.layer.children;
+    for (let index = low; index < this.searchResults.length; index++) {
+      const result = this.searchResults[index];
+      if (result.pageNum > text.lastLine) break;
+      
+      const lineElement = lineElements[result.pageNum - 1 - text.firstLine];
+      const code = lineElement && lineElement.querySelector('.front-text-line-code');
+      const range = code && this.createTextRange(code, result.startChar, result.endChar);
+      if (!range) continue;
+      
+      Array.from(range.getClientRects()).forEach((rect, rectIndex) => {
+        lineElement.appendChild(this.createHighlightElement(rect, lineElement, index, rectIndex, 1));
+      });
+    }
+    this.updateCurrentSearchHighlight(this.currentSearchIndex);
+  }
+
+  // Maps character offsets onto the text nodes that syntax highlighting split a line into
+  createTextRange(element, start, end) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    let offset = 0;
+    let started = false;
+    
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (!started && start <= offset + node.length) {
+        range.setStart(node, start - offset);
+        started = true;
+      }
+      if (started && end <= offset + node.length) {
+        range.setEnd(node, end - offset);
+        return range;
+      }
+      offset += node.length;
+    }
+    
+    return null;
+  }
+
+  scrollToTextResult(index) {
+    const text = this.currentText;
+    const result = this.searchResults[index];
+    if (!text || !result) return;
+    
+    const { scrollRoot, lineHeight } = text;
+    const lineTop = text.layer.offsetTop + (result.pageNum - 1) * lineHeight;
+    scrollRoot.scrollTop = Math.max(0, lineTop - (scrollRoot.clientHeight - lineHeight) / 2);
+    this.renderTextLines(true);
+    
+    this.revealSearchHighlight(scrollRoot, index, scrollRoot.querySelector('.front-text-line-number'));
+  }
+
+  // Long lines and wide tables may need a sideways scroll too; `stickyColumn` covers the left edge
+  revealSearchHighlight(scrollRoot, index, stickyColumn) {
+    const highlight = scrollRoot.querySelector(`.search-highlight[data-search-index="${index}"]`);
+    if (!highlight) return;
+    
+    const margin = 24;
+    const rootRect = scrollRoot.getBoundingClientRect();
+    const highlightRect = highlight.getBoundingClientRect();
+    const visibleLeft = rootRect.left + (stickyColumn ? stickyColumn.offsetWidth : 0);
+    if (highlightRect.left < visibleLeft) {
+      scrollRoot.scrollLeft -= visibleLeft - highlightRect.left + margin;
+    } else if (highlightRect.right > rootRect.right) {
+      scrollRoot.scrollLeft += highlightRect.right - rootRect.right + margin;
+    }
+  }
+
+  teardownTextView() {
+    if (this.currentText && this.currentText.renderFrame) {
+      cancelAnimationFrame(this.currentText.renderFrame);
+    }
+    this.currentText = null;
+  }
+
+  isDelimitedAttachment(contentType, filename) {
+    return /^(text|application)\/(csv|x-csv|tab-separated-values)\b/.test(contentType) || /\.(csv|tsv)$/i.test(filename);
+  }
+
+  async parseDelimitedAttachment(blob, contentType, filename) {
+    const text = await this.decodeTextBlob(blob, contentType);
+    const rows = this.parseDelimitedText(text, this.detectDelimiter(text, contentType, filename));
+    const header = rows.shift() || [];
+    const columnCount = rows.reduce((max, row) => Math.max(max, row.length), header.length);
+    return { header, rows, columnCount };
+  }
+
+  detectDelimiter(text, contentType, filename) {
+    if (/tab-separated/.test(contentType) || /\.tsv$/i.test(filename)) return '\t';
+    
+    // The delimiter that splits the first lines into the same number of fields wins; European
+    // exports use semicolons because the comma is their decimal separator
+    const lines = text.slice(0, 64 * 1024).split(/\r?\n/).slice(0, 20).filter(line => line.trim());
+    let best = ',';
+    let bestScore = 0;
+    
+    [',', ';', '\t', '|'].forEach((candidate) => {
+      const counts = lines.map(line => line.replace(/"[^"]*"/g, '').split(candidate).length - 1);
+      const first = counts[0] || 0;
+      const score = first > 0 ? counts.filter(count => count === first).length : 0;
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    });
+    
+    return best;
+  }
+
+  // RFC 4180: quoted fields may hold delimiters, line breaks and doubled quotes
+  parseDelimitedText(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    const endRow = () => {
+      row.push(field);
+      // Blank lines between records aren't rows
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+    };
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      
+      if (inQuotes) {
+        if (char !== '"') {
+          field += char;
+        } else if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        endRow();
+      } else {
+        field += char;
+      }
+    }
+    
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+  }
+
+  async renderTable(blob, contentType) {
+    const viewer = document.getElementById('front-viewer');
+    const attachment = this.getCurrentAttachment();
+    
+    const { header, rows, columnCount } = await this.parseDelimitedAttachment(blob, contentType, attachment.filename);
+    if (!this.isCurrentAttachment(attachment)) return;
+    
+    const columns = Array.from({ length: columnCount }, (_, column) => column);
+    viewer.innerHTML = `
+      <div class="front-attachment-content front-table-content">
+        <div class="front-table">
+          <div class="front-table-head">
+            <div class="front-table-row">
+              <div class="front-table-cell front-table-row-number">#</div>
+              ${columns.map(column => `
+                <button type="button" class="front-table-cell front-table-header" data-column="${column}">
+                  <span class="front-table-header-label">${this.escapeHTML(header[column] || `Column ${column + 1}`)}</span>
+                  <span class="front-table-sort"></span>
+                </button>
+              `).join('')}
+            </div>
+            <div class="front-table-row front-table-filter-row">
+              <div class="front-table-cell front-table-row-number"></div>
+              ${columns.map(column => `
+                <div class="front-table-cell">
+                  <input type="text" class="front-table-filter" data-column="${column}" placeholder="Filter" spellcheck="false">
+                </div>
+              `).join('')}
+            </div>
+          </div>
+          <div class="front-table-body"></div>
+        </div>
+        <div class="front-table-status"></div>
+      </div>
+    `;
+    
+    const scrollRoot = viewer.querySelector('.front-table-content');
+    this.currentTable = {
+      header,
+      rows,
+      columnCount,
+      columnWidths: this.measureTableColumns(header, rows, columnCount),
+      filters: new Array(columnCount).fill(''),
+      sortColumn: -1,
+      sortDirection: 0,
+      displayRows: rows.map((_, index) => index),
+      scrollRoot,
+      table: viewer.querySelector('.front-table'),
+      body: viewer.querySelector('.front-table-body'),
+      status: viewer.querySelector('.front-table-status'),
+      rowHeight: 0,
+      firstRow: 0,
+      lastRow: 0,
+      renderFrame: null,
+      filterTimer: null
+    };
+    
+    scrollRoot.addEventListener('scroll', () => this.scheduleTableRender(), { passive: true });
+    scrollRoot.querySelectorAll('.front-table-header').forEach((button) => {
+      button.addEventListener('click', () => this.sortTable(parseInt(button.dataset.column, 10)));
+    });
+    scrollRoot.querySelectorAll('.front-table-filter').forEach((input) => {
+      input.addEventListener('input', () => this.setTableFilter(parseInt(input.dataset.column, 10), input.value));
+    });
+    
+    this.layoutTableView();
+    this.updateTableStatus();
+  }
+
+  // Widths come from the header and the first rows, so they're known before anything renders
+  measureTableColumns(header, rows, columnCount) {
+    const { CHAR_WIDTH, MIN_COLUMN_WIDTH, MAX_COLUMN_WIDTH, WIDTH_SAMPLE_ROWS } = CONSTANTS.TABLE_PREVIEW;
+    const sample = [header, ...rows.slice(0, WIDTH_SAMPLE_ROWS)];
+    
+    return Array.from({ length: columnCount }, (_, column) => {
+      // Room for the sort arrow next to the header
+      const longest = sample.reduce((max, row) => Math.max(max, (row[column] || '').length), 2);
+      return Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, longest * CHAR_WIDTH + 32));
+    });
+  }
+
+  // Like text, tables zoom through their font size so the virtual rows keep a known height
+  layoutTableView() {
+    const table = this.currentTable;
+    if (!table) return;
+    
+    const rowHeight = CONSTANTS.TABLE_PREVIEW.ROW_HEIGHT * this.zoomLevel;
+    const topRow = table.rowHeight ? table.scrollRoot.scrollTop / table.rowHeight : 0;
+    const numberWidth = `${String(table.rows.length).length + 2}ch`;
+    const columnWidths = table.columnWidths.map(width => width * this.zoomLevel);
+    const totalWidth = columnWidths.reduce((sum, width) => sum + width, 0);
+    
+    table.rowHeight = rowHeight;
+    table.table.style.fontSize = `${CONSTANTS.TABLE_PREVIEW.FONT_SIZE * this.zoomLevel}px`;
+    table.table.style.width = `calc(${numberWidth} + ${totalWidth}px)`;
+    table.table.style.setProperty('--front-table-row-height', `${rowHeight}px`);
+    table.table.style.setProperty('--front-table-columns',
+      [numberWidth, ...columnWidths.map(width => `${width}px`)].join(' '));
+    table.body.style.height = `${table.displayRows.length * rowHeight}px`;
+    table.scrollRoot.scrollTop = topRow * rowHeight;
+    
+    this.renderTableRows(true);
+  }
+
+  scheduleTableRender() {
+    const table = this.currentTable;
+    if (!table || table.renderFrame) return;
+    
+    table.renderFrame = requestAnimationFrame(() => {
+      table.renderFrame = null;
+      this.renderTableRows();
+    });
+  }
+
+  renderTableRows(force = false) {
+    const table = this.currentTable;
+    if (!table) return;
+    
+    const { rowHeight, scrollRoot, body, displayRows } = table;
+    const top = scrollRoot.scrollTop - body.offsetTop;
+    const visibleFirst = Math.max(0, Math.floor(top / rowHeight));
+    const visibleLast = Math.min(displayRows.length, Math.ceil((top + scrollRoot.clientHeight) / rowHeight));
+    if (!force && visibleFirst >= table.firstRow && visibleLast <= table.lastRow) return;
+    
+    const overscan = CONSTANTS.TABLE_PREVIEW.OVERSCAN_ROWS;
+    table.firstRow = Math.max(0, visibleFirst - overscan);
+    table.lastRow = Math.min(displayRows.length, visibleLast + overscan);
+    
+    let html = '';
+    for (let position = table.firstRow; position < table.lastRow; position++) {
+      const rowIndex = displayRows[position];
+      const row = table.rows[rowIndex];
+      
+      // Row numbers stay those of the file, so they still mean something after sorting
+      html += `<div class="front-table-row" style="top: ${position * rowHeight}px;">` +
+        `<div class="front-table-cell front-table-row-number">${rowIndex + 1}</div>`;
+      for (let column = 0; column < table.columnCount; column++) {
+        const value = this.escapeHTML(row[column] || '');
+        html += `<div class="front-table-cell" title="${value}">${value}</div>`;
+      }
+      html += '</div>';
+    }
+    body.innerHTML = html;
+    
+    this.applyTableSearchHighlights();
+  }
+
+  sortTable(column) {
+    const table = this.currentTable;
+    if (!table) return;
+    
+    // Ascending, descending, then back to file order
+    if (table.sortColumn !== column) {
+      table.sortColumn = column;
+      table.sortDirection = 1;
+    } else if (table.sortDirection === 1) {
+      table.sortDirection = -1;
+    } else {
+      table.sortColumn = -1;
+      table.sortDirection = 0;
+    }
+    
+    table.scrollRoot.querySelectorAll('.front-table-header').forEach((button) => {
+      const active = parseInt(button.dataset.column, 10) === table.sortColumn;
+      button.classList.toggle('sorted', active);
+      button.querySelector('.front-table-sort').textContent = active ? (table.sortDirection === 1 ? '▲' : '▼') : '';
+    });
+    
+    this.updateTableRows();
+  }
+
+  setTableFilter(column, value) {
+    const table = this.currentTable;
+    if (!table) return;
+    
+    table.filters[column] = value.trim().toLowerCase();
+    clearTimeout(table.filterTimer);
+    table.filterTimer = setTimeout(() => this.updateTableRows(), CONSTANTS.TABLE_PREVIEW.FILTER_DEBOUNCE);
+  }
+
+  updateTableRows() {
+    const table = this.currentTable;
+    if (!table) return;
+    
+    const activeFilters = table.filters
+      .map((filter, column) => ({ filter, column }))
+      .filter(({ filter }) => filter);
+    
+    const displayRows = [];
+    table.rows.forEach((row, index) => {
+      const matches = activeFilters.every(({ filter, column }) => (row[column] || '').toLowerCase().includes(filter));
+      if (matches) displayRows.push(index);
+    });
+    
+    if (table.sortDirection !== 0) {
+      const column = table.sortColumn;
+      const direction = table.sortDirection;
+      displayRows.sort((a, b) => {
+        const valueA = table.rows[a][column] || '';
+        const valueB = table.rows[b][column] || '';
+        // Empty cells sort last either way round
+        if (!valueA || !valueB) return (!valueA - !valueB) || a - b;
+        return this.compareTableValues(valueA, valueB) * direction || a - b;
+      });
+    }
+    
+    table.displayRows = displayRows;
+    table.body.style.height = `${displayRows.length * table.rowHeight}px`;
+    this.renderTableRows(true);
+    this.updateTableStatus();
+    
+    // Results point at display positions, so a new order or filter means searching again
+    const query = document.getElementById('front-search-input')?.value.trim();
+    if (this.searchMode && query && this.lastSearchMatcher) {
+      this.searchCurrentDocument(this.lastSearchMatcher, this.searchGeneration);
+    }
+  }
+
+  compareTableValues(a, b) {
+    const numberA = Number(a);
+    const numberB = Number(b);
+    if (Number.isFinite(numberA) && Number.isFinite(numberB)) return numberA - numberB;
+    
+    if (!this.tableCollator) {
+      this.tableCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+    }
+    return this.tableCollator.compare(a, b);
+  }
+
+  updateTableStatus() {
+    const table = this.currentTable;
+    if (!table) return;
+    
+    const total = table.rows.length;
+    const shown = table.displayRows.length;
+    const noun = total === 1 ? 'row' : 'rows';
+    table.status.textContent = shown === total ?
+      `${total.toLocaleString()} ${noun}` :
+      `${shown.toLocaleString()} of ${total.toLocaleString()} ${noun}`;
+  }
+
+  // Results are one per match, in display order; `pageNum` is the display position
+  findTableSearchMatches(matcher) {
+    const table = this.currentTable;
+    const results = [];
+    
+    table.displayRows.forEach((rowIndex, position) => {
+      const row = table.rows[rowIndex];
+      for (let column = 0; column < table.columnCount; column++) {
+        const index = row[column] ? this.getLineSearchIndex(row[column], matcher) : null;
+        if (!index) continue;
+        
+        matcher.findAll(index.text).forEach(([start, length]) => {
+          results.push({ ...this.createSearchResult(position + 1, index, start, length), column });
+        });
+      }
+    });
+    
+    return results;
+  }
+
+  applyTableSearchHighlights() {
+    const table = this.currentTable;
+    if (!table || this.searchResults.length === 0) return;
+    
+    let low = 0;
+    let high = this.searchResults.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.searchResults[middle].pageNum <= table.firstRow) low = middle + 1;
+      else high = middle;
+    }
+    
+    // Matching cells are highlighted as a whole; the value may be cut off by the column width
+    const rowElements = table.body.children;
+    for (let index = low; index < this.searchResults.length; index++) {
+      const result = this.searchResults[index];
+      if (result.pageNum > table.lastRow) break;
+      
+      const rowElement = rowElements[result.pageNum - 1 - table.firstRow];
+      const cell = rowElement && rowElement.children[result.column + 1];
+      if (!cell) continue;
+      
+      const highlight = document.createElement('div');
+      highlight.className = 'search-highlight front-table-cell-highlight';
+      highlight.setAttribute('data-search-index', index);
+      cell.appendChild(highlight);
+    }
+    this.updateCurrentSearchHighlight(this.currentSearchIndex);
+  }
+
+  scrollToTableResult(index) {
+    const table = this.currentTable;
+    const result = this.searchResults[index];
+    if (!table || !result) return;
+    
+    const { scrollRoot, rowHeight } = table;
+    const rowTop = table.body.offsetTop + (result.pageNum - 1) * rowHeight;
+    scrollRoot.scrollTop = Math.max(0, rowTop - (scrollRoot.clientHeight - rowHeight) / 2);
+    this.renderTableRows(true);
+    
+    const stickyColumn = table.body.querySelector('.front-table-row-number');
+    this.revealSearchHighlight(scrollRoot, index, stickyColumn);
+  }
+
+  teardownTableView() {
+    if (this.currentTable) {
+      cancelAnimationFrame(this.currentTable.renderFrame);
+      clearTimeout(this.currentTable.filterTimer);
+    }
+    this.currentTable = null;
+  }
+
+  isWordDocument(contentType, filename) {
+    return contentType.includes(CONSTANTS.FILE_TYPES.DOCX) || /\.docx$/i.test(filename);
+  }
+
+  // mammoth only reads the document parts: macros are ignored and linked (external) images are skipped
+  async convertDocxToHTML(blob) {
+    await this.loadLibrary('mammoth');
+    const result = await mammoth.convertToHtml(
+      { arrayBuffer: await blob.arrayBuffer() },
+      { idPrefix: 'front-docx-', externalFileAccess: false }
+    );
+    return result.value;
+  }
+
+  async renderDocument(blob) {
+    const attachment = this.getCurrentAttachment();
+    
+    let html;
+    try {
+      html = await this.convertDocxToHTML(blob);
+    } catch (error) {
+      if (this.isCurrentAttachment(attachment)) {
+        this.renderError(`Failed to load ${attachment.filename}: the Word document could not be read`);
+      }
+      return;
+    }
+    if (!this.isCurrentAttachment(attachment)) return;
+    
+    const page = document.createElement('div');
+    page.className = 'front-document-page';
+    page.appendChild(this.sanitizeHTML(html));
+    this.showDocumentPage(page);
+  }
+
+  // Word documents and emails share the page view, its zoom and its search
+  showDocumentPage(page) {
+    const viewer = document.getElementById('front-viewer');
+    viewer.innerHTML = `
+      <div class="front-attachment-content">
+        <div id="front-document" style="transform: scale(${this.zoomLevel}); transform-origin: 0 0;"></div>
+      </div>
+    `;
+    
+    const container = document.getElementById('front-document');
+    container.appendChild(page);
+    page.addEventListener('click', (e) => this.followDocumentLink(e, page));
+    this.currentDocument = { page, ...this.getDocumentTextContent(page) };
+    
+    this.updateModeZoomLevel();
+    this.trackZoomTarget(container);
+    this.updateZoomDisplay();
+  }
+
+  // Footnote and bookmark links point inside the page; following them would change Front's own URL
+  followDocumentLink(e, page) {
+    const link = e.target.closest('a[href^="#"]');
+    if (!link) return;
+    
+    e.preventDefault();
+    const target = page.querySelector(`[id="${CSS.escape(link.getAttribute('href').slice(1))}"]`);
+    if (target) target.scrollIntoView({ block: 'center' });
+  }
+
+  // Rebuilds the markup element by element from HTML_SANITIZER_RULES; DOMParser documents
+  // are inert, so nothing in `html` runs or loads while it is being read. `inlineImages`
+  // maps email Content-IDs to data URLs for cid: images.
+  sanitizeHTML(html, inlineImages = null) {
+    const source = new DOMParser().parseFromString(html, 'text/html');
+    const fragment = document.createDocumentFragment();
+    this.appendSanitizedChildren(source.body, fragment, inlineImages);
+    return fragment;
+  }
+
+  appendSanitizedChildren(sourceParent, targetParent, inlineImages) {
+    const { ALLOWED_TAGS, DROPPED_TAGS } = HTML_SANITIZER_RULES;
+    
+    sourceParent.childNodes.forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        targetParent.appendChild(document.createTextNode(node.data));
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      
+      const tag = node.localName;
+      if (DROPPED_TAGS.has(tag)) return;
+      if (!ALLOWED_TAGS.has(tag)) {
+        this.appendSanitizedChildren(node, targetParent, inlineImages);
+        return;
+      }
+      
+      const element = document.createElement(tag);
+      this.copySanitizedAttributes(node, element, inlineImages);
+      // A remote image would be a broken icon at best and a tracking pixel at worst
+      if (tag === 'img' && !element.hasAttribute('src')) return;
+      targetParent.appendChild(element);
+      this.appendSanitizedChildren(node, element, inlineImages);
+    });
+  }
+
+  copySanitizedAttributes(source, element, inlineImages) {
+    const { ALLOWED_ATTRIBUTES, ID_PREFIX, SAFE_LINK, SAFE_IMAGE } = HTML_SANITIZER_RULES;
+    const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[element.localName] || [])];
+    
+    allowed.forEach((name) => {
+      let value = source.getAttribute(name);
+      if (value === null) return;
+      value = value.trim();
+      
+      if (name === 'src' && /^cid:/i.test(value) && inlineImages) {
+        value = inlineImages.get(this.normalizeContentId(value.slice(4))) || '';
+      }
+      if (name === 'href' && !SAFE_LINK.test(value)) return;
+      if (name === 'src' && !SAFE_IMAGE.test(value)) return;
+      if (name === 'style') value = this.sanitizeStyle(value);
+      if (name === 'id') value = ID_PREFIX + value;
+      if (name === 'href' && value.startsWith('#')) value = `#${ID_PREFIX}${value.slice(1)}`;
+      if (value) element.setAttribute(name, value);
+    });
+    
+    const href = element.getAttribute('href');
+    if (href && !href.startsWith('#')) {
+      element.target = '_blank';
+      element.rel = 'noopener noreferrer';
+    }
+  }
+
+  sanitizeStyle(style) {
+    const { STYLE_PROPERTIES, COLOR_PROPERTY, COLOR_VALUE, UNSAFE_STYLE_VALUE } = HTML_SANITIZER_RULES;
+    
+    return style.split(';')
+      .map(declaration => declaration.trim())
+      .filter((declaration) => {
+        const colon = declaration.indexOf(':');
+        if (colon <= 0) return false;
+        const property = declaration.slice(0, colon).trim();
+        const value = declaration.slice(colon + 1);
+        if (!STYLE_PROPERTIES.test(property) || UNSAFE_STYLE_VALUE.test(value)) return false;
+        return !COLOR_PROPERTY.test(property) || COLOR_VALUE.test(value);
+      })
+      .join('; ');
+  }
+
+  // One textContent-like item per text node; a break between blocks ends a line so
+  // paragraphs don't run into each other when searched
+  getDocumentTextContent(root) {
+    const blockSelector = 'p, h1, h2, h3, h4, h5, h6, li, td, th, caption, pre, blockquote, div';
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    
+    const items = nodes.map((node, index) => {
+      const next = nodes[index + 1];
+      const block = node.parentElement.closest(blockSelector);
+      const hasEOL = !next || next.parentElement.closest(blockSelector) !== block ||
+        node.nextSibling?.nodeName === 'BR';
+      return { str: node.data, hasEOL };
+    });
+    
+    return { nodes, items };
+  }
+
+  applyDocumentSearchHighlights() {
+    const { page, nodes } = this.currentDocument;
+    
+    // Measure every match before adding any highlight, so the page is laid out only once
+    const highlights = [];
+    this.searchResults.forEach((result, index) => {
+      const range = document.createRange();
+      range.setStart(nodes[result.startItem], result.startChar);
+      range.setEnd(nodes[result.endItem], result.endChar);
+      Array.from(range.getClientRects()).forEach((rect, rectIndex) => {
+        highlights.push({ rect, index, rectIndex });
+      });
+    });
+    
+    highlights.forEach(({ rect, index, rectIndex }) => {
+      page.appendChild(this.createHighlightElement(rect, page, index, rectIndex, this.zoomLevel));
+    });
+    this.updateCurrentSearchHighlight(this.currentSearchIndex);
+  }
+
+  teardownDocumentView() {
+    this.currentDocument = null;
+  }
+
+  isEmailMessage(contentType, filename) {
+    const { EML, MSG } = CONSTANTS.FILE_TYPES;
+    return contentType.includes(EML) || contentType.includes(MSG) || /\.(eml|msg)$/i.test(filename);
+  }
+
+  // Resolves to { subject, from, to, cc, date, html, text, inlineImages, attachments }; addresses are
+  // display strings and attachments are { filename, contentType, blob, contentId }
+  async parseEmail(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    // Outlook .msg files are OLE compound files, whatever they were sent as
+    const isCompoundFile = bytes[0] === 0xD0 && bytes[1] === 0xCF && bytes[2] === 0x11 && bytes[3] === 0xE0;
+    if (!isCompoundFile) return this.parseMIMEMessage(bytes);
+    await this.loadLibrary('cfb');
+    return this.parseOutlookMessage(bytes);
+  }
+
+  parseMIMEMessage(bytes) {
+    // Bodies are worked on as one char per byte; text is decoded with its own charset once it's cut out
+    const root = this.parseMIMEPart(this.bytesToBinaryString(bytes), 0);
+    const header = name => this.decodeMIMEHeader(root.headers.get(name) || '');
+    const date = new Date(root.headers.get('date') || NaN);
+    
+    const message = {
+      subject: header('subject'),
+      from: header('from'),
+      to: header('to'),
+      cc: header('cc'),
+      date: isNaN(date) ? null : date,
+      html: null,
+      text: null,
+      inlineImages: new Map(),
+      attachments: []
+    };
+    this.collectMIMEParts(root, message);
+    return message;
+  }
+
+  parseMIMEPart(raw, depth) {
+    const split = /\r?\n\r?\n/.exec(raw);
+    const headerText = split ? raw.slice(0, split.index) : raw;
+    const body = split ? raw.slice(split.index + split[0].length) : '';
+    
+    const headers = new Map();
+    headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach((line) => {
+      const colon = line.indexOf(':');
+      if (colon <= 0) return;
+      const name = line.slice(0, colon).trim().toLowerCase();
+      if (!headers.has(name)) headers.set(name, line.slice(colon + 1).trim());
+    });
+    
+    const contentType = this.parseMIMEHeaderParams(headers.get('content-type') || 'text/plain');
+    const part = { headers, type: contentType.value.toLowerCase(), params: contentType.params, body, parts: [] };
+    
+    if (part.type.startsWith('multipart/') && part.params.boundary && depth < CONSTANTS.EMAIL_PREVIEW.MAX_MIME_DEPTH) {
+      part.parts = this.splitMultipart(body, part.params.boundary).map(section => this.parseMIMEPart(section, depth + 1));
+    }
+    return part;
+  }
+
+  splitMultipart(body, boundary) {
+    const delimiter = `--${boundary}`;
+    const sections = [];
+    let position = body.startsWith(delimiter) ? 0 : body.indexOf(`\n${delimiter}`);
+    
+    while (position !== -1) {
+      const start = body.indexOf(delimiter, position) + delimiter.length;
+      // The closing delimiter has two trailing dashes
+      if (body.startsWith('--', start)) break;
+      
+      const lineEnd = body.indexOf('\n', start);
+      if (lineEnd === -1) break;
+      const next = body.indexOf(`\n${delimiter}`, lineEnd);
+      sections.push(body.slice(lineEnd + 1, next === -1 ? body.length : next).replace(/\r$/, ''));
+      position = next;
+    }
+    
+    return sections;
+  }
+
+  // Splits `type/subtype; name=value` headers, including RFC 2231 encoded and continued values
+  parseMIMEHeaderParams(header) {
+    const [value = '', ...segments] = header.match(/("[^"]*"|[^;])+/g) || [];
+    const params = {};
+    const extended = {};
+    
+    segments.forEach((segment) => {
+      const equals = segment.indexOf('=');
+      if (equals === -1) return;
+      const name = segment.slice(0, equals).trim().toLowerCase();
+      const paramValue = segment.slice(equals + 1).trim().replace(/^"([\s\S]*)"$/, '$1');
+      
+      const match = /^([^*]+)(?:\*(\d+))?(\*)?$/.exec(name);
+      if (!match) return;
+      const [, base, index, encoded] = match;
+      if (index === undefined && !encoded) {
+        params[base] = this.decodeMIMEHeader(paramValue);
+      } else {
+        (extended[base] = extended[base] || []).push({ index: Number(index || 0), value: paramValue, encoded: !!encoded });
+      }
+    });
+    
+    Object.entries(extended).forEach(([base, pieces]) => {
+      pieces.sort((a, b) => a.index - b.index);
+      let charset = 'utf-8';
+      let binary = '';
+      pieces.forEach((piece, index) => {
+        let text = piece.value;
+        const declared = index === 0 && piece.encoded && /^([^']*)'[^']*'([\s\S]*)$/.exec(text);
+        if (declared) {
+          charset = declared[1] || charset;
+          text = declared[2];
+        }
+        binary += piece.encoded ? text.replace(/%([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))) : text;
+      });
+      params[base] = this.decodeBytes(this.binaryStringToBytes(binary), charset);
+    });
+    
+    return { value: value.trim(), params };
+  }
+
+  // Raw 8-bit headers are taken as UTF-8 where they can be, then RFC 2047 =?charset?B|Q?...?= words are decoded
+  decodeMIMEHeader(value) {
+    const bytes = this.binaryStringToBytes(value);
+    const text = new TextDecoder(this.detectTextEncoding(bytes, '')).decode(bytes);
+    
+    return text
+      .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+      .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (word, charset, encoding, encoded) => {
+        let binary;
+        if (encoding.toUpperCase() === 'B') {
+          binary = this.decodeBase64(encoded);
+        } else {
+          binary = encoded.replace(/_/g, ' ').replace(/=([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+        }
+        return binary === null ? word : this.decodeBytes(this.binaryStringToBytes(binary), charset);
+      });
+  }
+
+  collectMIMEParts(part, message) {
+    if (part.type.startsWith('multipart/')) {
+      part.parts.forEach(child => this.collectMIMEParts(child, message));
+      return;
+    }
+    
+    const disposition = this.parseMIMEHeaderParams(part.headers.get('content-disposition') || '');
+    const filename = disposition.params.filename || part.params.name || '';
+    const isAttachment = disposition.value.toLowerCase() === 'attachment' || !!filename;
+    const bytes = this.decodeTransferEncoding(part.body, (part.headers.get('content-transfer-encoding') || '').trim().toLowerCase());
+    
+    // The first text parts that aren't attachments are the body; multipart/alternative offers both
+    if (!isAttachment && part.type === 'text/html' && message.html === null) {
+      message.html = this.decodeBytes(bytes, part.params.charset);
+      return;
+    }
+    if (!isAttachment && part.type === 'text/plain' && message.text === null) {
+      message.text = this.decodeBytes(bytes, part.params.charset);
+      return;
+    }
+    
+    const contentId = this.normalizeContentId(part.headers.get('content-id') || '');
+    if (contentId && part.type.startsWith('image/')) {
+      message.inlineImages.set(contentId, this.bytesToDataURL(bytes, part.type));
+    }
+    
+    let name = filename;
+    if (!name && part.type === CONSTANTS.FILE_TYPES.EML) {
+      // Forwarded messages are named after their subject
+      const subject = /^subject:[ \t]*(.*)$/im.exec(this.bytesToBinaryString(bytes.subarray(0, 16384)));
+      name = `${(subject && this.decodeMIMEHeader(subject[1]).replace(/[\\/:*?"<>|]/g, '_').trim()) || 'Message'}.eml`;
+    }
+    message.attachments.push({
+      filename: name || `Attachment ${message.attachments.length + 1}`,
+      contentType: part.type,
+      blob: new Blob([bytes], { type: part.type }),
+      contentId
+    });
+  }
+
+  decodeTransferEncoding(body, encoding) {
+    if (encoding === 'base64') {
+      return this.binaryStringToBytes(this.decodeBase64(body) || '');
+    }
+    if (encoding === 'quoted-printable') {
+      return this.binaryStringToBytes(body
+        .replace(/[ \t]+(?=\r?\n)/g, '')
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+    }
+    return this.binaryStringToBytes(body);
+  }
+
+  // Mail clients wrap base64 at any width and sometimes drop the padding; returns null when nothing decodes
+  decodeBase64(text) {
+    let clean = text.replace(/[^A-Za-z0-9+/]/g, '');
+    if (clean.length % 4 === 1) clean = clean.slice(0, -1);
+    clean += '='.repeat((4 - clean.length % 4) % 4);
+    try {
+      return atob(clean);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  decodeBytes(bytes, charset) {
+    return new TextDecoder(this.detectTextEncoding(bytes, charset ? `charset=${charset}` : '')).decode(bytes);
+  }
+
+  bytesToBinaryString(bytes) {
+    let binary = '';
+    // Chunked, since String.fromCharCode can't take millions of arguments at once
+    for (let i = 0; i < bytes.length; i += 32768) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 32768));
+    }
+    return binary;
+  }
+
+  binaryStringToBytes(binary) {
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xFF;
+    return bytes;
+  }
+
+  bytesToDataURL(bytes, type) {
+    return `data:${type};base64,${btoa(this.bytesToBinaryString(bytes))}`;
+  }
+
+  normalizeContentId(contentId) {
+    return contentId.trim().replace(/^<|>$/g, '').toLowerCase();
+  }
+
+  // Outlook keeps each MAPI property in its own stream named __substg1.0_<id><type>;
+  // fixed-size values such as dates live together in __properties_version1.0
+  parseOutlookMessage(bytes) {
+    const container = CFB.read(bytes, { type: 'array' });
+    const entries = new Map();
+    container.FullPaths.forEach((path, index) => {
+      entries.set(path.toUpperCase(), { path, entry: container.FileIndex[index] });
+    });
+    return this.readOutlookMessage(entries, container.FullPaths[0].toUpperCase(), 32);
+  }
+
+  readOutlookMessage(entries, prefix, headerSize) {
+    const string = id => this.readOutlookString(entries, prefix, id);
+    const properties = this.readOutlookProperties(entries, prefix, headerSize);
+    const sender = string('0C1A');
+    const senderAddress = string('5D01') || string('0C1F');
+    const htmlBytes = this.readOutlookStream(entries, `${prefix}__SUBSTG1.0_10130102`);
+    const sent = properties.get(0x0039) || properties.get(0x0E06);
+    
+    const message = {
+      subject: string('0037'),
+      from: this.formatEmailAddress(sender, senderAddress),
+      to: string('0E04'),
+      cc: string('0E03'),
+      date: sent ? this.fileTimeToDate(sent) : null,
+      html: htmlBytes ? this.decodeBytes(htmlBytes) : (string('1013') || null),
+      text: string('1000') || null,
+      inlineImages: new Map(),
+      attachments: []
+    };
+    
+    // Recipients carry the addresses; the display lists above only have names
+    const to = [];
+    const cc = [];
+    this.getOutlookStorages(entries, prefix, '__RECIP_VERSION1.0_#').forEach((recipient) => {
+      const address = this.formatEmailAddress(
+        this.readOutlookString(entries, recipient, '3001'),
+        this.readOutlookString(entries, recipient, '39FE') || this.readOutlookString(entries, recipient, '3003')
+      );
+      const type = this.readOutlookProperties(entries, recipient, 8).get(0x0C15);
+      if (type === 2) cc.push(address);
+      else if (type !== 3) to.push(address);
+    });
+    if (to.length > 0) message.to = to.join(', ');
+    if (cc.length > 0) message.cc = cc.join(', ');
+    
+    this.getOutlookStorages(entries, prefix, '__ATTACH_VERSION1.0_#').forEach((attachment) => {
+      const attachmentProperties = this.readOutlookProperties(entries, attachment, 8);
+      const embedded = `${attachment}__SUBSTG1.0_3701000D/`;
+      let file;
+      
+      if (entries.has(embedded)) {
+        // An attached Outlook item is a message storage; it's repackaged as a .msg of its own
+        const inner = this.readOutlookMessage(entries, embedded, 24);
+        file = {
+          filename: `${(inner.subject || 'Message').replace(/[\\/:*?"<>|]/g, '_')}.msg`,
+          contentType: CONSTANTS.FILE_TYPES.MSG,
+          blob: new Blob([this.buildOutlookFile(entries, embedded)], { type: CONSTANTS.FILE_TYPES.MSG })
+        };
+      } else {
+        const data = this.readOutlookStream(entries, `${attachment}__SUBSTG1.0_37010102`);
+        if (!data) return;
+        const contentType = this.readOutlookString(entries, attachment, '370E') || 'application/octet-stream';
+        file = {
+          filename: this.readOutlookString(entries, attachment, '3707') ||
+            this.readOutlookString(entries, attachment, '3704') ||
+            this.readOutlookString(entries, attachment, '3001') ||
+            `Attachment ${message.attachments.length + 1}`,
+          contentType,
+          blob: new Blob([data], { type: contentType })
+        };
+        
+        const contentId = this.normalizeContentId(this.readOutlookString(entries, attachment, '3712'));
+        if (contentId && contentType.startsWith('image/')) {
+          message.inlineImages.set(contentId, this.bytesToDataURL(data, contentType));
+        }
+        file.contentId = contentId;
+      }
+      
+      // Hidden attachments are signature images and the like
+      if (attachmentProperties.get(0x7FFE) !== 1) message.attachments.push(file);
+    });
+    
+    return message;
+  }
+
+  getOutlookStorages(entries, prefix, name) {
+    return Array.from(entries.keys())
+      .filter(path => path.startsWith(prefix + name) && path.endsWith('/') && path.indexOf('/', prefix.length) === path.length - 1)
+      .sort();
+  }
+
+  readOutlookStream(entries, path) {
+    const item = entries.get(path);
+    if (!item || !item.entry.content) return null;
+    return item.entry.content instanceof Uint8Array ? item.entry.content : Uint8Array.from(item.entry.content);
+  }
+
+  readOutlookString(entries, prefix, id) {
+    const unicode = this.readOutlookStream(entries, `${prefix}__SUBSTG1.0_${id}001F`);
+    if (unicode) return new TextDecoder('utf-16le').decode(unicode).replace(/\0+$/, '');
+    const ansi = this.readOutlookStream(entries, `${prefix}__SUBSTG1.0_${id}001E`);
+    return ansi ? this.decodeBytes(ansi).replace(/\0+$/, '') : '';
+  }
+
+  // Returns property id → value for the integer, boolean and date entries of a properties stream
+  readOutlookProperties(entries, prefix, headerSize) {
+    const properties = new Map();
+    const data = this.readOutlookStream(entries, `${prefix}__PROPERTIES_VERSION1.0`);
+    if (!data) return properties;
+    
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    for (let offset = headerSize; offset + 16 <= data.length; offset += 16) {
+      const type = view.getUint16(offset, true);
+      const id = view.getUint16(offset + 2, true);
+      if (type === 0x0003) properties.set(id, view.getInt32(offset + 8, true));
+      else if (type === 0x000B) properties.set(id, view.getUint16(offset + 8, true));
+      else if (type === 0x0040) properties.set(id, view.getUint32(offset + 12, true) * 2 ** 32 + view.getUint32(offset + 8, true));
+    }
+    return properties;
+  }
+
+  fileTimeToDate(fileTime) {
+    // FILETIME counts 100ns ticks since 1601
+    return new Date(fileTime / 10000 - 11644473600000);
+  }
+
+  buildOutlookFile(entries, storage) {
+    const file = CFB.utils.cfb_new();
+    entries.forEach(({ path, entry }, key) => {
+      if (!key.startsWith(storage) || entry.type !== 2) return;
+      let content = this.readOutlookStream(entries, key);
+      const name = path.slice(storage.length);
+      if (name.toUpperCase() === '__PROPERTIES_VERSION1.0') {
+        // A top-level message has 8 more reserved header bytes than an embedded one
+        const padded = new Uint8Array(content.length + 8);
+        padded.set(content.subarray(0, 24));
+        padded.set(content.subarray(24), 32);
+        content = padded;
+      }
+      CFB.utils.cfb_add(file, name, content);
+    });
+    return new Uint8Array(CFB.write(file, { type: 'array' }));
+  }
+
+  formatEmailAddress(name, address) {
+    if (!address || name === address) return name || address || '';
+    return name ? `${name} <${address}>` : address;
+  }
+
+  async renderEmail(blob) {
+    const attachment = this.getCurrentAttachment();
+    
+    let message;
+    try {
+      message = await this.parseEmail(blob);
+    } catch (error) {
+      if (this.isCurrentAttachment(attachment)) {
+        this.renderError(`Failed to load ${attachment.filename}: the email could not be read`);
+      }
+      return;
+    }
+    if (!this.isCurrentAttachment(attachment)) return;
+    
+    const page = this.buildEmailPage(message);
+    page.querySelectorAll('.front-email-attachment').forEach((button) => {
+      const index = parseInt(button.dataset.attachment, 10);
+      button.addEventListener('click', () => this.openNestedAttachment(attachment, index, message.attachments[index]));
+    });
+    this.showDocumentPage(page);
+  }
+
+  // Also builds the searchable text for conversation search, so hits line up with the open message
+  buildEmailPage(message) {
+    const page = document.createElement('div');
+    page.className = 'front-document-page front-email';
+    
+    const fields = [['From', message.from], ['To', message.to], ['Cc', message.cc],
+      ['Date', message.date ? message.date.toLocaleString() : '']];
+    page.innerHTML = `
+      <div class="front-email-header">
+        <h1 class="front-email-subject">${this.escapeHTML(message.subject || '(no subject)')}</h1>
+        <dl class="front-email-fields">
+          ${fields.filter(([, value]) => value).map(([label, value]) => `
+            <dt>${label}</dt><dd>${this.escapeHTML(value)}</dd>
+          `).join('')}
+        </dl>
+      </div>
+    `;
+    
+    // Images shown inline in the body aren't listed again as attachments
+    const referenced = new Set(Array.from((message.html || '').matchAll(/cid:([^"'\s)>]+)/gi),
+      match => this.normalizeContentId(match[1])));
+    const listed = message.attachments
+      .map((file, index) => ({ file, index }))
+      .filter(({ file }) => !file.contentId || !referenced.has(file.contentId));
+    
+    if (listed.length > 0) {
+      const list = document.createElement('div');
+      list.className = 'front-email-attachments';
+      list.innerHTML = listed.map(({ file, index }) => `
+        <button type="button" class="front-email-attachment" data-attachment="${index}" title="Open ${this.escapeHTML(file.filename)}">
+          <span class="front-email-attachment-name">${this.escapeHTML(file.filename)}</span>
+          <span class="front-email-attachment-size">${this.formatFileSize(file.blob.size)}</span>
+        </button>
+      `).join('');
+      page.appendChild(list);
+    }
+    
+    const body = document.createElement('div');
+    body.className = 'front-email-body';
+    if (message.html) {
+      body.appendChild(this.sanitizeHTML(message.html, message.inlineImages));
+    } else {
+      body.classList.add('front-email-text');
+      body.textContent = message.text || '';
+    }
+    page.appendChild(body);
+    
+    return page;
+  }
+
+  isArchive(contentType, filename) {
+    const { ZIP, ZIP_LEGACY } = CONSTANTS.FILE_TYPES;
+    return contentType.includes(ZIP) || contentType.includes(ZIP_LEGACY) || /\.zip$/i.test(filename);
+  }
+
+  // Reads the central directory only; nothing is decompressed until an entry is opened.
+  // Throws with a message meant for the user when the archive is refused.
+  readZipDirectory(bytes) {
+    const { MAX_ENTRIES, MAX_UNZIPPED_SIZE, MAX_COMPRESSION_RATIO, MIN_RATIO_CHECK_SIZE } = CONSTANTS.ARCHIVE_PREVIEW;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const corrupt = 'the archive is damaged or not a ZIP file';
+    
+    // The end record sits in the last 64 KB, behind an optional comment
+    let end = -1;
+    for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 65557); offset--) {
+      if (view.getUint32(offset, true) === 0x06054B50) {
+        end = offset;
+        break;
+      }
+    }
+    if (end === -1) throw new Error(corrupt);
+    
+    let count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if ((count === 0xFFFF || offset === 0xFFFFFFFF) && end >= 20 && view.getUint32(end - 20, true) === 0x07064B50) {
+      const zip64End = Number(view.getBigUint64(end - 12, true));
+      if (zip64End + 56 > bytes.length || view.getUint32(zip64End, true) !== 0x06064B50) throw new Error(corrupt);
+      count = Number(view.getBigUint64(zip64End + 32, true));
+      offset = Number(view.getBigUint64(zip64End + 48, true));
+    }
+    if (count > MAX_ENTRIES) {
+      throw new Error(`the archive has ${count.toLocaleString()} entries, more than the ${MAX_ENTRIES.toLocaleString()} the viewer can list`);
+    }
+    
+    const entries = [];
+    for (let index = 0; index < count; index++) {
+      if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014B50) throw new Error(corrupt);
+      
+      const flags = view.getUint16(offset + 8, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const rawName = bytes.subarray(offset + 46, offset + 46 + nameLength);
+      const entry = {
+        path: this.decodeZipName(rawName, flags),
+        method: view.getUint16(offset + 10, true),
+        encrypted: (flags & 1) === 1,
+        date: this.dosTimeToDate(view.getUint16(offset + 14, true), view.getUint16(offset + 12, true)),
+        compressedSize: view.getUint32(offset + 20, true),
+        size: view.getUint32(offset + 24, true),
+        localOffset: view.getUint32(offset + 42, true)
+      };
+      this.readZip64Extra(view, offset + 46 + nameLength, extraLength, entry);
+      entry.isDirectory = entry.path.endsWith('/');
+      entries.push(entry);
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    
+    const files = entries.filter(entry => !entry.isDirectory);
+    const totalSize = files.reduce((total, entry) => total + entry.size, 0);
+    if (totalSize > MAX_UNZIPPED_SIZE) {
+      throw new Error(`it would unpack to ${this.formatFileSize(totalSize)}, which is too large to browse`);
+    }
+    
+    // Bombs either compress one entry absurdly well or point many entries at the same data
+    const suspicious = files.some(entry => entry.size > MIN_RATIO_CHECK_SIZE &&
+      entry.size > entry.compressedSize * MAX_COMPRESSION_RATIO);
+    const byOffset = files.slice().sort((a, b) => a.localOffset - b.localOffset);
+    const overlapping = byOffset.some((entry, index) => index > 0 &&
+      byOffset[index - 1].localOffset + byOffset[index - 1].compressedSize > entry.localOffset);
+    if (suspicious || overlapping) {
+      throw new Error('it looks like a zip bomb, an archive built to unpack to an enormous size');
+    }
+    
+    return entries;
+  }
+
+  // Bit 11 marks UTF-8 names; older tools wrote the DOS code page, which is close enough to Windows-1252 for a listing
+  decodeZipName(rawName, flags) {
+    if (flags & 0x800) return new TextDecoder().decode(rawName);
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(rawName);
+    } catch (error) {
+      return new TextDecoder('windows-1252').decode(rawName);
+    }
+  }
+
+  // Sizes and offsets that don't fit 32 bits move to the ZIP64 extra field, in this order
+  readZip64Extra(view, start, length, entry) {
+    for (let offset = start; offset + 4 <= start + length;) {
+      const id = view.getUint16(offset, true);
+      const size = view.getUint16(offset + 2, true);
+      if (id === 0x0001) {
+        let field = offset + 4;
+        ['size', 'compressedSize', 'localOffset'].forEach((key) => {
+          if (entry[key] === 0xFFFFFFFF && field + 8 <= offset + 4 + size) {
+            entry[key] = Number(view.getBigUint64(field, true));
+            field += 8;
+          }
+        });
+      }
+      offset += 4 + size;
+    }
+  }
+
+  dosTimeToDate(date, time) {
+    if (date === 0) return null;
+    return new Date(1980 + (date >> 9), ((date >> 5) & 0x0F) - 1, date & 0x1F,
+      time >> 11, (time >> 5) & 0x3F, (time & 0x1F) * 2);
+  }
+
+  // Throws with a message meant for the user when the entry can't be unpacked
+  extractZipEntry(bytes, entry) {
+    if (entry.encrypted) throw new Error(`${entry.path} is password-protected`);
+    if (entry.size > CONSTANTS.ARCHIVE_PREVIEW.MAX_ENTRY_SIZE) {
+      throw new Error(`${entry.path} unpacks to ${this.formatFileSize(entry.size)}, which is too large to open in the browser`);
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const header = entry.localOffset;
+    if (header + 30 > bytes.length || view.getUint32(header, true) !== 0x04034B50) {
+      throw new Error(`${entry.path} is damaged`);
+    }
+    const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+    const data = bytes.subarray(start, start + entry.compressedSize);
+    
+    if (entry.method === 0) return data.slice();
+    if (entry.method !== 8) throw new Error(`${entry.path} uses a compression method the viewer doesn't support`);
+    
+    // fflate stops at the end of `out`, so a size that lies about the data shows up as a length mismatch
+    let content;
+    try {
+      content = fflate.inflateSync(data, { out: new Uint8Array(entry.size + 1) });
+    } catch (error) {
+      throw new Error(`${entry.path} is damaged`);
+    }
+    if (content.length !== entry.size) throw new Error(`${entry.path} is damaged`);
+    return content;
+  }
+
+  async renderArchive(blob) {
+    const viewer = document.getElementById('front-viewer');
+    const attachment = this.getCurrentAttachment();
+    
+    let bytes;
+    let entries;
+    try {
+      // fflate is only needed to unpack entries, but a listing nothing can be opened from is no use
+      await this.loadLibrary('fflate');
+      bytes = new Uint8Array(await blob.arrayBuffer());
+      entries = this.readZipDirectory(bytes);
+    } catch (error) {
+      if (this.isCurrentAttachment(attachment)) {
+        this.renderError(`${attachment.filename} can't be opened: ${error.message}`);
+      }
+      return;
+    }
+    if (!this.isCurrentAttachment(attachment)) return;
+    
+    const files = entries.filter(entry => !entry.isDirectory);
+    const totalSize = files.reduce((total, entry) => total + entry.size, 0);
+    viewer.innerHTML = `
+      <div class="front-attachment-content front-archive-content">
+        <div class="front-archive">
+          <div class="front-archive-summary">
+            ${files.length} ${files.length === 1 ? 'file' : 'files'} · ${this.formatFileSize(totalSize)} unpacked
+          </div>
+          <div class="front-archive-status" role="status"></div>
+          <div class="front-archive-list" role="tree">
+            ${this.getArchiveTreeHTML(this.buildArchiveTree(entries), 0)}
+          </div>
+        </div>
+      </div>
+    `;
+    
+    const status = viewer.querySelector('.front-archive-status');
+    viewer.querySelector('.front-archive-list').addEventListener('click', (e) => {
+      const folder = e.target.closest('.front-archive-folder-toggle');
+      if (folder) {
+        const expanded = folder.getAttribute('aria-expanded') !== 'true';
+        folder.setAttribute('aria-expanded', expanded);
+        folder.closest('.front-archive-folder').classList.toggle('collapsed', !expanded);
+        return;
+      }
+      
+      const button = e.target.closest('[data-entry]');
+      if (!button) return;
+      const entry = entries[parseInt(button.dataset.entry, 10)];
+      
+      let content;
+      try {
+        content = this.extractZipEntry(bytes, entry);
+      } catch (error) {
+        status.textContent = `${error.message}.`;
+        return;
+      }
+      status.textContent = '';
+      
+      const filename = entry.path.split('/').pop();
+      const file = { filename, blob: new Blob([content]), contentType: '' };
+      if (button.classList.contains('front-archive-download')) {
+        this.downloadBlob(file.blob, filename);
+      } else {
+        this.openNestedAttachment(attachment, entry.path, file);
+      }
+    });
+  }
+
+  // Folders come from entry paths; archives often leave out the folder entries themselves
+  buildArchiveTree(entries) {
+    const root = { name: '', folders: new Map(), files: [] };
+    
+    entries.forEach((entry, index) => {
+      const parts = entry.path.split('/').filter(Boolean);
+      const name = entry.isDirectory ? null : parts.pop();
+      let folder = root;
+      parts.forEach((part) => {
+        if (!folder.folders.has(part)) folder.folders.set(part, { name: part, folders: new Map(), files: [] });
+        folder = folder.folders.get(part);
+      });
+      if (name) folder.files.push({ name, entry, index });
+    });
+    
+    return root;
+  }
+
+  getArchiveTreeHTML(folder, depth) {
+    const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+    const indent = `style="padding-left: ${12 + depth * 20}px;"`;
+    
+    const folders = Array.from(folder.folders.values()).sort(byName).map(child => `
+      <div class="front-archive-folder" role="treeitem">
+        <button type="button" class="front-archive-row front-archive-folder-toggle" aria-expanded="true" ${indent}>
+          <span class="front-archive-chevron">▾</span>
+          <span class="front-archive-name">${this.escapeHTML(child.name)}</span>
+        </button>
+        <div class="front-archive-children" role="group">${this.getArchiveTreeHTML(child, depth + 1)}</div>
+      </div>
+    `).join('');
+    
+    const files = folder.files.slice().sort(byName).map(({ name, entry, index }) => `
+      <div class="front-archive-row front-archive-file" role="treeitem" ${indent}>
+        <button type="button" class="front-archive-open" data-entry="${index}" title="Open ${this.escapeHTML(name)}">
+          <span class="front-archive-name">${this.escapeHTML(name)}</span>
+        </button>
+        <span class="front-archive-size">${this.formatFileSize(entry.size)}</span>
+        <span class="front-archive-date">${entry.date ? entry.date.toLocaleString() : ''}</span>
+        <button type="button" class="front-archive-download" data-entry="${index}" title="Download ${this.escapeHTML(name)}">Download</button>
+      </div>
+    `).join('');
+    
+    return folders + files;
+  }
+
+  isSpreadsheet(contentType, filename) {
+    const { XLSX, XLSM, ODS } = CONSTANTS.FILE_TYPES;
+    return [XLSX, XLSM, ODS].some(type => contentType.toLowerCase().includes(type)) || /\.(xlsx|xlsm|ods)$/i.test(filename);
+  }
+
+  // Both formats are zipped XML; only the parts holding cells are unpacked, and macros never are
+  async parseSpreadsheet(blob) {
+    await Promise.all([this.loadLibrary('fflate'), this.loadLibrary('ssf')]);
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let unzippedSize = 0;
+    const entries = fflate.unzipSync(bytes, {
+      filter: (file) => {
+        if (!/^(xl\/.*\.(xml|rels)|content\.xml|settings\.xml)$/.test(file.name)) return false;
+        // A zip bomb stops here rather than filling memory
+        unzippedSize += file.originalSize;
+        if (unzippedSize > CONSTANTS.SPREADSHEET_PREVIEW.MAX_UNZIPPED_SIZE) {
+          throw new Error('Spreadsheet is too large to preview');
+        }
+        return true;
+      }
+    });
+    
+    const decoder = new TextDecoder();
+    const readXML = (name) => {
+      if (!entries[name]) return null;
+      return new DOMParser().parseFromString(decoder.decode(entries[name]), 'application/xml');
+    };
+    
+    const sheets = entries['content.xml'] ?
+      this.parseODSSheets(readXML('content.xml'), readXML('settings.xml')) : this.parseXLSXSheets(readXML);
+    if (sheets.length === 0) throw new Error('Workbook has no sheets');
+    return sheets;
+  }
+
+  // Namespace prefixes vary between writers, so elements are matched by local name
+  getXMLElements(parent, localName) {
+    return Array.from(parent.getElementsByTagNameNS('*', localName));
+  }
+
+  getXMLChildren(parent, localName) {
+    return Array.from(parent.children).filter(child => child.localName === localName);
+  }
+
+  parseXLSXSheets(readXML) {
+    const workbook = readXML('xl/workbook.xml');
+    if (!workbook) throw new Error('Workbook is missing');
+    
+    const relationships = new Map();
+    const workbookRels = readXML('xl/_rels/workbook.xml.rels');
+    if (workbookRels) {
+      this.getXMLElements(workbookRels, 'Relationship').forEach((rel) => {
+        const target = rel.getAttribute('Target').replace(/^\//, '');
+        relationships.set(rel.getAttribute('Id'), target.startsWith('xl/') ? target : `xl/${target}`);
+      });
+    }
+    
+    const sharedStringsXML = readXML('xl/sharedStrings.xml');
+    const sharedStrings = sharedStringsXML ? this.getXMLElements(sharedStringsXML, 'si').map((item) => {
+      // Rich text is split into runs; phonetic guides (rPh) aren't part of the shown text
+      return this.getXMLElements(item, 't')
+        .filter(text => text.parentElement.localName !== 'rPh')
+        .map(text => text.textContent)
+        .join('');
+    }) : [];
+    
+    const numberFormats = new Map();
+    let cellFormats = [];
+    const styles = readXML('xl/styles.xml');
+    if (styles) {
+      this.getXMLElements(styles, 'numFmt').forEach((format) => {
+        numberFormats.set(parseInt(format.getAttribute('numFmtId'), 10), format.getAttribute('formatCode'));
+      });
+      const cellXfs = this.getXMLElements(styles, 'cellXfs')[0];
+      cellFormats = cellXfs ? this.getXMLChildren(cellXfs, 'xf').map(xf => parseInt(xf.getAttribute('numFmtId'), 10) || 0) : [];
+    }
+    
+    const workbookPr = this.getXMLElements(workbook, 'workbookPr')[0];
+    const context = {
+      sharedStrings,
+      numberFormats,
+      cellFormats,
+      date1904: !!workbookPr && ['1', 'true'].includes(workbookPr.getAttribute('date1904'))
+    };
+    
+    return this.getXMLElements(workbook, 'sheet')
+      .filter(sheet => !sheet.getAttribute('state') || sheet.getAttribute('state') === 'visible')
+      .map((sheet) => {
+        const id = sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id') ||
+          sheet.getAttribute('r:id');
+        // Chart sheets and missing parts have no cells to show
+        const xml = relationships.has(id) ? readXML(relationships.get(id)) : null;
+        return xml && xml.documentElement.localName === 'worksheet' ?
+          this.parseXLSXSheet(sheet.getAttribute('name'), xml, context) : null;
+      })
+      .filter(Boolean);
+  }
+
+  parseXLSXSheet(name, xml, context) {
+    const sheet = this.createSheet(name);
+    
+    let rowIndex = -1;
+    this.getXMLElements(xml, 'row').forEach((row) => {
+      const rowNumber = parseInt(row.getAttribute('r'), 10);
+      rowIndex = rowNumber > 0 ? rowNumber - 1 : rowIndex + 1;
+      let columnIndex = -1;
+      
+      this.getXMLChildren(row, 'c').forEach((cell) => {
+        const ref = cell.getAttribute('r');
+        columnIndex = ref ? this.parseCellReference(ref).column : columnIndex + 1;
+        
+        const text = this.getXLSXCellText(cell, context);
+        if (text !== null && text !== '') {
+          this.setSheetCell(sheet, rowIndex, columnIndex, text.value, text.numeric);
+        }
+      });
+    });
+    
+    this.getXMLElements(xml, 'mergeCell').forEach((merge) => {
+      const [start, end = start] = (merge.getAttribute('ref') || '').split(':');
+      if (!start) return;
+      const from = this.parseCellReference(start);
+      const to = this.parseCellReference(end);
+      sheet.merges.push({ top: from.row, left: from.column, bottom: to.row, right: to.column });
+    });
+    
+    this.getXMLElements(xml, 'col').forEach((column) => {
+      const width = parseFloat(column.getAttribute('width'));
+      const hidden = ['1', 'true'].includes(column.getAttribute('hidden'));
+      const max = Math.min(parseInt(column.getAttribute('max'), 10), CONSTANTS.SPREADSHEET_PREVIEW.MAX_COLUMNS);
+      for (let index = parseInt(column.getAttribute('min'), 10) - 1; index < max; index++) {
+        // Widths are in characters of the default font, which Excel draws 7px wide plus padding
+        if (hidden) sheet.columnWidths[index] = 0;
+        else if (width) sheet.columnWidths[index] = Math.round(width * 7 + 5);
+      }
+    });
+    
+    const pane = this.getXMLElements(xml, 'pane')
+      .find(element => ['frozen', 'frozenSplit'].includes(element.getAttribute('state')));
+    if (pane) sheet.frozenRows = parseInt(pane.getAttribute('ySplit'), 10) || 0;
+    
+    return this.finishSheet(sheet);
+  }
+
+  getXLSXCellText(cell, context) {
+    const type = cell.getAttribute('t') || 'n';
+    const valueElement = this.getXMLChildren(cell, 'v')[0];
+    const value = valueElement ? valueElement.textContent : null;
+    
+    switch (type) {
+      case 's':
+        return value === null ? null : { value: context.sharedStrings[parseInt(value, 10)] || '' };
+      case 'inlineStr': {
+        const inline = this.getXMLChildren(cell, 'is')[0];
+        return inline ? { value: this.getXMLElements(inline, 't').map(text => text.textContent).join('') } : null;
+      }
+      case 'b':
+        return value === null ? null : { value: value === '1' ? 'TRUE' : 'FALSE' };
+      case 'str':
+      case 'e':
+      case 'd':
+        return value === null ? null : { value };
+      default: {
+        if (value === null || value === '') return null;
+        const styleIndex = parseInt(cell.getAttribute('s'), 10) || 0;
+        const formatId = context.cellFormats[styleIndex] || 0;
+        const format = context.numberFormats.get(formatId) ?? formatId;
+        return { value: this.formatSpreadsheetNumber(parseFloat(value), format, context.date1904), numeric: true };
+      }
+    }
+  }
+
+  // SSF is Excel's own number format engine, so dates, currencies and percentages read as they do in Excel
+  formatSpreadsheetNumber(value, format, date1904) {
+    if (!Number.isFinite(value)) return String(value);
+    try {
+      return SSF.format(format, value, { date1904 });
+    } catch (error) {
+      return SSF.format('General', value);
+    }
+  }
+
+  // ODS stores the displayed text next to each value, already formatted, so only the layout needs work
+  parseODSSheets(content, settings) {
+    const TABLE_NS = 'urn:oasis:names:tc:opendocument:xmlns:table:1.0';
+    const OFFICE_NS = 'urn:oasis:names:tc:opendocument:xmlns:office:1.0';
+    const STYLE_NS = 'urn:oasis:names:tc:opendocument:xmlns:style:1.0';
+    
+    const columnStyleWidths = new Map();
+    this.getXMLElements(content, 'table-column-properties').forEach((properties) => {
+      const width = this.parseODSLength(properties.getAttributeNS(STYLE_NS, 'column-width'));
+      if (width) columnStyleWidths.set(properties.parentElement.getAttributeNS(STYLE_NS, 'name'), width);
+    });
+    const frozenRows = settings ? this.getODSFrozenRows(settings) : new Map();
+    
+    return this.getXMLElements(content, 'table')
+      .filter(table => table.namespaceURI === TABLE_NS)
+      .map((table, index) => {
+        const name = table.getAttributeNS(TABLE_NS, 'name');
+        const sheet = this.createSheet(name || `Sheet ${index + 1}`);
+        sheet.frozenRows = frozenRows.get(name) || 0;
+        
+        let nextColumn = 0;
+        this.getXMLElements(table, 'table-column').forEach((column) => {
+          const repeat = parseInt(column.getAttributeNS(TABLE_NS, 'number-columns-repeated'), 10) || 1;
+          const width = columnStyleWidths.get(column.getAttributeNS(TABLE_NS, 'style-name'));
+          const hidden = column.getAttributeNS(TABLE_NS, 'visibility') === 'collapse';
+          // Like blank rows, the last column is often repeated out to the sheet's full width
+          const end = Math.min(nextColumn + repeat, CONSTANTS.SPREADSHEET_PREVIEW.MAX_COLUMNS);
+          for (let index = nextColumn; index < end; index++) {
+            if (hidden) sheet.columnWidths[index] = 0;
+            else if (width) sheet.columnWidths[index] = width;
+          }
+          nextColumn += repeat;
+        });
+        
+        let rowIndex = 0;
+        
+        this.getXMLElements(table, 'table-row').forEach((row) => {
+          const rowRepeat = parseInt(row.getAttributeNS(TABLE_NS, 'number-rows-repeated'), 10) || 1;
+          let columnIndex = 0;
+          
+          Array.from(row.children)
+            .filter(cell => ['table-cell', 'covered-table-cell'].includes(cell.localName))
+            .forEach((cell) => {
+              const columnRepeat = parseInt(cell.getAttributeNS(TABLE_NS, 'number-columns-repeated'), 10) || 1;
+              const text = this.getXMLChildren(cell, 'p').map(paragraph => paragraph.textContent).join('\n');
+              
+              if (text && cell.localName === 'table-cell') {
+                const numeric = ['float', 'percentage', 'currency'].includes(cell.getAttributeNS(OFFICE_NS, 'value-type'));
+                // Repeats of empty cells pad rows out to the full sheet width; only real content is copied
+                for (let repeat = 0; repeat < Math.min(columnRepeat, CONSTANTS.SPREADSHEET_PREVIEW.MAX_COLUMNS); repeat++) {
+                  for (let rowRepeatIndex = 0; rowRepeatIndex < Math.min(rowRepeat, CONSTANTS.SPREADSHEET_PREVIEW.MAX_REPEATED_ROWS); rowRepeatIndex++) {
+                    this.setSheetCell(sheet, rowIndex + rowRepeatIndex, columnIndex + repeat, text, numeric);
+                  }
+                }
+              }
+              
+              const rowSpan = parseInt(cell.getAttributeNS(TABLE_NS, 'number-rows-spanned'), 10) || 1;
+              const columnSpan = parseInt(cell.getAttributeNS(TABLE_NS, 'number-columns-spanned'), 10) || 1;
+              if (rowSpan > 1 || columnSpan > 1) {
+                sheet.merges.push({
+                  top: rowIndex,
+                  left: columnIndex,
+                  bottom: rowIndex + rowSpan - 1,
+                  right: columnIndex + columnSpan - 1
+                });
+              }
+              
+              columnIndex += columnRepeat;
+            });
+          
+          rowIndex += rowRepeat;
+        });
+        
+        return this.finishSheet(sheet);
+      });
+  }
+
+  // Frozen panes are view settings, kept per sheet name; a split mode of 2 means frozen, and the
+  // vertical split position is the number of rows above the split
+  getODSFrozenRows(settings) {
+    const CONFIG_NS = 'urn:oasis:names:tc:opendocument:xmlns:config:1.0';
+    const frozenRows = new Map();
+    const tables = this.getXMLElements(settings, 'config-item-map-named')
+      .find(map => map.getAttributeNS(CONFIG_NS, 'name') === 'Tables');
+    if (!tables) return frozenRows;
+    
+    this.getXMLChildren(tables, 'config-item-map-entry').forEach((entry) => {
+      const items = new Map(this.getXMLChildren(entry, 'config-item')
+        .map(item => [item.getAttributeNS(CONFIG_NS, 'name'), item.textContent]));
+      if (items.get('VerticalSplitMode') === '2') {
+        frozenRows.set(entry.getAttributeNS(CONFIG_NS, 'name'), parseInt(items.get('VerticalSplitPosition'), 10) || 0);
+      }
+    });
+    return frozenRows;
+  }
+
+  // ODF lengths carry their own unit; converted to CSS pixels at 96 per inch
+  parseODSLength(value) {
+    const match = /^([\d.]+)(in|cm|mm|pt|pc|px)$/.exec((value || '').trim());
+    if (!match) return 0;
+    const pixelsPerUnit = { in: 96, cm: 96 / 2.54, mm: 96 / 25.4, pt: 96 / 72, pc: 16, px: 1 };
+    return Math.round(parseFloat(match[1]) * pixelsPerUnit[match[2]]);
+  }
+
+  createSheet(name) {
+    return { name, rows: [], rowCount: 0, columnCount: 0, merges: [], columnWidths: [], frozenRows: 0 };
+  }
+
+  // Rows and cells are sparse arrays; `numeric` marks cells that are right-aligned like numbers in Excel
+  setSheetCell(sheet, rowIndex, columnIndex, value, numeric = false) {
+    if (columnIndex >= CONSTANTS.SPREADSHEET_PREVIEW.MAX_COLUMNS) return;
+    
+    const row = sheet.rows[rowIndex] || (sheet.rows[rowIndex] = { cells: [], numeric: [] });
+    row.cells[columnIndex] = value;
+    if (numeric) row.numeric[columnIndex] = true;
+    sheet.rowCount = Math.max(sheet.rowCount, rowIndex + 1);
+    sheet.columnCount = Math.max(sheet.columnCount, columnIndex + 1);
+  }
+
+  finishSheet(sheet) {
+    // Merges reach past the last value when the merged block itself is the last thing on the sheet
+    sheet.merges = sheet.merges.filter(merge => merge.top < sheet.rowCount && merge.left < sheet.columnCount);
+    sheet.merges.forEach((merge) => {
+      merge.bottom = Math.min(merge.bottom, sheet.rowCount - 1);
+      merge.right = Math.min(merge.right, sheet.columnCount - 1);
+    });
+    sheet.frozenRows = Math.min(sheet.frozenRows, CONSTANTS.SPREADSHEET_PREVIEW.MAX_FROZEN_ROWS, sheet.rowCount);
+    sheet.columnWidths.length = sheet.columnCount;
+    
+    // Columns without a stored width are sized to their content, as CSV columns are
+    const { CHAR_WIDTH, MAX_COLUMN_WIDTH, WIDTH_SAMPLE_ROWS } = CONSTANTS.TABLE_PREVIEW;
+    for (let column = 0; column < sheet.columnCount; column++) {
+      if (sheet.columnWidths[column] !== undefined) continue;
+      
+      let longest = 0;
+      for (let row = 0; row < Math.min(sheet.rowCount, WIDTH_SAMPLE_ROWS); row++) {
+        const value = sheet.rows[row] && sheet.rows[row].cells[column];
+        if (value) longest = Math.max(longest, value.length);
+      }
+      sheet.columnWidths[column] = Math.min(MAX_COLUMN_WIDTH,
+        Math.max(CONSTANTS.SPREADSHEET_PREVIEW.DEFAULT_COLUMN_WIDTH, longest * CHAR_WIDTH + 16));
+    }
+    
+    return sheet;
+  }
+
+  parseCellReference(ref) {
+    const match = /^\$?([A-Z]+)\$?(\d+)$/i.exec(ref) || [null, 'A', '1'];
+    const column = match[1].toUpperCase().split('').reduce((sum, char) => sum * 26 + char.charCodeAt(0) - 64, 0) - 1;
+    return { column, row: parseInt(match[2], 10) - 1 };
+  }
+
+  getColumnName(index) {
+    let name = '';
+    for (let value = index + 1; value > 0; value = Math.floor((value - 1) / 26)) {
+      name = String.fromCharCode(65 + (value - 1) % 26) + name;
+    }
+    return name;
+  }
+
+  getCellLabel(sheet, row, column) {
+    // Sheet names with spaces or punctuation are quoted, as in Excel formulas
+    const name = /^[\p{L}\p{N}_]+$/u.test(sheet.name) ? sheet.name : `'${sheet.name.replace(/'/g, "''")}'`;
+    return `${name}!${this.getColumnName(column)}${row + 1}`;
+  }
+
+  async renderSpreadsheet(blob) {
+    const viewer = document.getElementById('front-viewer');
+    const attachment = this.getCurrentAttachment();
+    
+    let sheets;
+    try {
+      sheets = await this.parseSpreadsheet(blob);
+    } catch (error) {
+      if (this.isCurrentAttachment(attachment)) {
+        this.renderError(`Failed to load ${attachment.filename}: the spreadsheet could not be read`);
+      }
+      return;
+    }
+    if (!this.isCurrentAttachment(attachment)) return;
+    
+    viewer.innerHTML = `
+      <div class="front-sheet-view">
+        <div class="front-attachment-content front-table-content">
+          <div class="front-table front-sheet">
+            <div class="front-table-head"></div>
+            <div class="front-table-body"></div>
+          </div>
+        </div>
+        <div class="front-sheet-tabs" role="tablist">
+          ${sheets.map((sheet, index) => `
+            <button type="button" class="front-sheet-tab" role="tab" data-sheet="${index}">${this.escapeHTML(sheet.name)}</button>
+          `).join('')}
+        </div>
+      </div>
+    `;
+    
+    const scrollRoot = viewer.querySelector('.front-table-content');
+    this.currentSpreadsheet = {
+      sheets,
+      sheetIndex: 0,
+      scrollRoot,
+      table: viewer.querySelector('.front-sheet'),
+      head: viewer.querySelector('.front-table-head'),
+      body: viewer.querySelector('.front-table-body'),
+      rowElements: new Map(),
+      rowHeight: 0,
+      firstRow: 0,
+      lastRow: 0,
+      renderFrame: null
+    };
+    
+    scrollRoot.addEventListener('scroll', () => this.scheduleSpreadsheetRender(), { passive: true });
+    viewer.querySelectorAll('.front-sheet-tab').forEach((tab) => {
+      tab.addEventListener('click', () => this.showSheet(parseInt(tab.dataset.sheet, 10)));
+    });
+    
+    this.showSheet(0);
+  }
+
+  showSheet(index) {
+    const view = this.currentSpreadsheet;
+    if (!view) return;
+    
+    view.sheetIndex = index;
+    view.rowHeight = 0;
+    view.scrollRoot.scrollTop = 0;
+    view.scrollRoot.scrollLeft = 0;
+    view.scrollRoot.parentElement.querySelectorAll('.front-sheet-tab').forEach((tab) => {
+      const active = parseInt(tab.dataset.sheet, 10) === index;
+      tab.classList.toggle('active', active);
+      tab.setAttribute('aria-selected', active);
+    });
+    
+    this.layoutSpreadsheetView();
+  }
+
+  // Zooms through the font size, like CSV tables, so rows keep the fixed height virtual scrolling needs
+  layoutSpreadsheetView() {
+    const view = this.currentSpreadsheet;
+    if (!view) return;
+    
+    const sheet = view.sheets[view.sheetIndex];
+    const rowHeight = CONSTANTS.TABLE_PREVIEW.ROW_HEIGHT * this.zoomLevel;
+    const topRow = view.rowHeight ? view.scrollRoot.scrollTop / view.rowHeight : 0;
+    const numberWidth = `${String(sheet.rowCount).length + 2}ch`;
+    const columnWidths = sheet.columnWidths.map(width => width * this.zoomLevel);
+    const totalWidth = columnWidths.reduce((sum, width) => sum + width, 0);
+    
+    view.rowHeight = rowHeight;
+    view.table.style.fontSize = `${CONSTANTS.TABLE_PREVIEW.FONT_SIZE * this.zoomLevel}px`;
+    view.table.style.width = `calc(${numberWidth} + ${totalWidth}px)`;
+    view.table.style.setProperty('--front-table-row-height', `${rowHeight}px`);
+    view.table.style.setProperty('--front-table-columns',
+      [numberWidth, ...columnWidths.map(width => `${width}px`)].join(' '));
+    view.body.style.height = `${(sheet.rowCount - sheet.frozenRows) * rowHeight}px`;
+    
+    // Column letters and the sheet's frozen rows stay at the top
+    let headHTML = `<div class="front-table-row"><div class="front-table-cell front-table-row-number"></div>` +
+      sheet.columnWidths.map((_, column) => `<div class="front-table-cell front-sheet-column-name">${this.getColumnName(column)}</div>`).join('') +
+      '</div>';
+    for (let row = 0; row < sheet.frozenRows; row++) {
+      headHTML += this.getSheetRowHTML(sheet, row, null);
+    }
+    view.head.innerHTML = headHTML;
+    view.scrollRoot.scrollTop = topRow * rowHeight;
+    
+    this.renderSpreadsheetRows(true);
+  }
+
+  scheduleSpreadsheetRender() {
+    const view = this.currentSpreadsheet;
+    if (!view || view.renderFrame) return;
+    
+    view.renderFrame = requestAnimationFrame(() => {
+      view.renderFrame = null;
+      this.renderSpreadsheetRows();
+    });
+  }
+
+  renderSpreadsheetRows(force = false) {
+    const view = this.currentSpreadsheet;
+    if (!view) return;
+    
+    const sheet = view.sheets[view.sheetIndex];
+    const { rowHeight, scrollRoot, body } = view;
+    const bodyRows = sheet.rowCount - sheet.frozenRows;
+    const top = scrollRoot.scrollTop;
+    const visibleFirst = Math.max(0, Math.floor(top / rowHeight));
+    const visibleLast = Math.min(bodyRows, Math.ceil((top + scrollRoot.clientHeight) / rowHeight));
+    if (!force && visibleFirst >= view.firstRow && visibleLast <= view.lastRow) return;
+    
+    const overscan = CONSTANTS.TABLE_PREVIEW.OVERSCAN_ROWS;
+    view.firstRow = Math.max(0, visibleFirst - overscan);
+    view.lastRow = Math.min(bodyRows, visibleLast + overscan);
+    
+    // A merged block that starts above the rendered rows still has to be drawn from its first row
+    const rows = new Set();
+    const first = view.firstRow + sheet.frozenRows;
+    const last = view.lastRow + sheet.frozenRows;
+    sheet.merges.forEach((merge) => {
+      if (merge.top < first && merge.bottom >= first && merge.top >= sheet.frozenRows) rows.add(merge.top);
+    });
+    for (let row = first; row < last; row++) rows.add(row);
+    
+    body.innerHTML = Array.from(rows)
+      .map(row => this.getSheetRowHTML(sheet, row, (row - sheet.frozenRows) * rowHeight))
+      .join('');
+    
+    view.rowElements = new Map();
+    view.table.querySelectorAll('.front-table-row[data-row]').forEach((element) => {
+      view.rowElements.set(parseInt(element.dataset.row, 10), element);
+    });
+    
+    this.applySpreadsheetSearchHighlights();
+  }
+
+  // Body rows are absolutely positioned at `top`; frozen rows (top null) flow in the sticky head
+  getSheetRowHTML(sheet, rowIndex, top) {
+    const row = sheet.rows[rowIndex];
+    const merges = sheet.merges.filter(merge => merge.top <= rowIndex && merge.bottom >= rowIndex);
+    const style = top === null ? '' : ` style="top: ${top}px;"`;
+    
+    let html = `<div class="front-table-row" data-row="${rowIndex}"${style}>` +
+      `<div class="front-table-cell front-table-row-number">${rowIndex + 1}</div>`;
+    
+    for (let column = 0; column < sheet.columnCount; column++) {
+      const merge = merges.find(candidate => candidate.left <= column && candidate.right >= column);
+      let span = '';
+      if (merge) {
+        // Covered cells are left out; the merge's first cell stretches over them
+        if (merge.top !== rowIndex || merge.left !== column) continue;
+        const height = merge.bottom - merge.top + 1;
+        span = ` / span ${merge.right - merge.left + 1}` + (height > 1 ?
+          `; height: calc(var(--front-table-row-height) * ${height}); z-index: 1` : '');
+      }
+      
+      const value = row && row.cells[column] !== undefined ? this.escapeHTML(row.cells[column]) : '';
+      const classes = 'front-table-cell' + (row && row.numeric[column] ? ' numeric' : '') + (merge ? ' merged' : '');
+      html += `<div class="${classes}" data-column="${column}" style="grid-column: ${column + 2}${span};"` +
+        (value ? ` title="${value}"` : '') + `>${value}</div>`;
+    }
+    
+    return html + '</div>';
+  }
+
+  // Results run sheet by sheet, row by row, left to right; `pageNum` is the row number on the sheet
+  findSpreadsheetSearchMatches(matcher) {
+    const results = [];
+    
+    this.currentSpreadsheet.sheets.forEach((sheet, sheetIndex) => {
+      sheet.rows.forEach((row, rowIndex) => {
+        row.cells.forEach((value, column) => {
+          const index = value ? this.getLineSearchIndex(value, matcher) : null;
+          if (!index) return;
+          
+          matcher.findAll(index.text).forEach(([start, length]) => {
+            results.push({
+              ...this.createSearchResult(rowIndex + 1, index, start, length),
+              sheetIndex,
+              column,
+              label: this.getCellLabel(sheet, rowIndex, column)
+            });
+          });
+        });
+      });
+    });
+    
+    return results;
+  }
+
+  applySpreadsheetSearchHighlights() {
+    const view = this.currentSpreadsheet;
+    if (!view || this.searchResults.length === 0) return;
+    
+    view.table.querySelectorAll('.front-table-cell-highlight').forEach(highlight => highlight.remove());
+    this.searchResults.forEach((result, index) => {
+      if (result.sheetIndex !== view.sheetIndex) return;
+      
+      const rowElement = view.rowElements.get(result.pageNum - 1);
+      const cell = rowElement && rowElement.querySelector(`[data-column="${result.column}"]`);
+      if (!cell) return;
+      
+      const highlight = document.createElement('div');
+      highlight.className = 'search-highlight front-table-cell-highlight';
+      highlight.setAttribute('data-search-index', index);
+      cell.appendChild(highlight);
+    });
+    this.updateCurrentSearchHighlight(this.currentSearchIndex);
+  }
+
+  scrollToSpreadsheetResult(index) {
+    const view = this.currentSpreadsheet;
+    const result = this.searchResults[index];
+    if (!view || !result) return;
+    
+    if (result.sheetIndex !== view.sheetIndex) this.showSheet(result.sheetIndex);
+    
+    const sheet = view.sheets[view.sheetIndex];
+    const bodyRow = result.pageNum - 1 - sheet.frozenRows;
+    const { scrollRoot, rowHeight } = view;
+    if (bodyRow >= 0) {
+      const rowTop = view.body.offsetTop + bodyRow * rowHeight;
+      scrollRoot.scrollTop = Math.max(0, rowTop - (scrollRoot.clientHeight - rowHeight) / 2);
+    }
+    this.renderSpreadsheetRows(true);
+    
+    this.revealSearchHighlight(scrollRoot, index, view.body.querySelector('.front-table-row-number'));
+  }
+
+  teardownSpreadsheetView() {
+    if (this.currentSpreadsheet) {
+      cancelAnimationFrame(this.currentSpreadsheet.renderFrame);
+    }
+    this.currentSpreadsheet = null;
+  }
+
+  renderMedia(blob, contentType) {
+    const viewer = document.getElementById('front-viewer');
+    const isAudio = contentType.startsWith('audio/');
+    const url = URL.createObjectURL(blob);
+    const { PLAYBACK_RATES, MAX_WAVEFORM_SIZE } = CONSTANTS.MEDIA_PREVIEW;
+    
+    viewer.innerHTML = `
+      <div class="front-attachment-content front-media-content">
+        <div class="front-media ${isAudio ? 'front-media-audio' : 'front-media-video'}">
+          ${isAudio ? `
+            <canvas class="front-media-waveform" title="Click to jump"></canvas>
+            <audio class="front-media-player" controls preload="metadata" src="${url}"></audio>
+          ` : `
+            <video class="front-media-player" controls preload="metadata" playsinline src="${url}"></video>
+          `}
+          <div class="front-media-controls">
+            <div class="front-media-rates" role="group" aria-label="Playback speed">
+              ${PLAYBACK_RATES.map(rate => `
+                <button type="button" class="front-media-rate${rate === 1 ? ' active' : ''}" data-rate="${rate}">${rate}×</button>
+              `).join('')}
+            </div>
+            <div class="front-media-hint">Shift + ←/→ skip 5s · J/L skip 10s · K play/pause</div>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    const player = viewer.querySelector('.front-media-player');
+    this.currentMedia = { player, url, waveform: null };
+    
+    const rates = viewer.querySelector('.front-media-rates');
+    rates.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-rate]');
+      if (!button) return;
+      player.playbackRate = parseFloat(button.dataset.rate);
+      rates.querySelectorAll('.front-media-rate').forEach(rate => rate.classList.toggle('active', rate === button));
+      // Give focus back to the page so arrow keys keep navigating attachments
+      button.blur();
+    });
+    player.addEventListener('error', () => {
+      if (this.currentMedia?.player === player) {
+        this.renderError(`${this.getCurrentAttachment().filename} uses a format the browser can't play`);
+        this.teardownMediaView();
+      }
+    });
+    
+    if (isAudio && blob.size <= MAX_WAVEFORM_SIZE) {
+      this.loadWaveform(blob, viewer.querySelector('.front-media-waveform'));
+    } else if (isAudio) {
+      viewer.querySelector('.front-media-waveform').remove();
+    }
+  }
+
+  async loadWaveform(blob, canvas) {
+    const media = this.currentMedia;
+    const { player } = media;
+    
+    // A compressed file can hold hours of audio, so read the duration before decoding anything
+    if (player.readyState < HTMLMediaElement.HAVE_METADATA) {
+      // Teardown drops the source, which fires emptied or abort instead of either of the others
+      await new Promise(resolve => {
+        ['loadedmetadata', 'error', 'emptied', 'abort'].forEach(type => player.addEventListener(type, resolve, { once: true }));
+      });
+    }
+    if (this.currentMedia !== media) return;
+    if (!(player.duration <= CONSTANTS.MEDIA_PREVIEW.MAX_WAVEFORM_DURATION)) {
+      canvas.remove();
+      return;
+    }
+    
+    let audio;
+    try {
+      // An offline context decodes without claiming the audio output
+      audio = await new OfflineAudioContext(1, 1, 44100).decodeAudioData(await blob.arrayBuffer());
+    } catch (error) {
+      if (this.currentMedia === media) canvas.remove();
+      return;
+    }
+    if (this.currentMedia !== media) return;
+    
+    media.waveform = { canvas, peaks: this.getWaveformPeaks(audio) };
+    this.drawWaveform();
+    
+    ['timeupdate', 'seeked', 'loadedmetadata'].forEach(type => player.addEventListener(type, () => this.drawWaveform()));
+    canvas.addEventListener('click', (e) => {
+      if (!Number.isFinite(player.duration)) return;
+      const rect = canvas.getBoundingClientRect();
+      player.currentTime = (e.clientX - rect.left) / rect.width * player.duration;
+    });
+  }
+
+  // Loudest sample per bar, averaged over the channels and scaled so the loudest bar is full height
+  getWaveformPeaks(audio) {
+    const bars = CONSTANTS.MEDIA_PREVIEW.WAVEFORM_BARS;
+    const peaks = new Float32Array(bars);
+    const samplesPerBar = Math.max(1, Math.floor(audio.length / bars));
+    
+    for (let channel = 0; channel < audio.numberOfChannels; channel++) {
+      const data = audio.getChannelData(channel);
+      for (let bar = 0; bar < bars; bar++) {
+        let peak = 0;
+        const end = Math.min(data.length, (bar + 1) * samplesPerBar);
+        for (let i = bar * samplesPerBar; i < end; i++) {
+          const value = Math.abs(data[i]);
+          if (value > peak) peak = value;
+        }
+        peaks[bar] += peak / audio.numberOfChannels;
+      }
+    }
+    
+    const loudest = Math.max(...peaks) || 1;
+    return peaks.map(peak => peak / loudest);
+  }
+
+  drawWaveform() {
+    const { player, waveform } = this.currentMedia || {};
+    if (!waveform) return;
+    
+    const { canvas, peaks } = waveform;
+    const scale = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * scale);
+    const height = Math.round(canvas.clientHeight * scale);
+    if (width === 0 || height === 0) return;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    
+    const context = canvas.getContext('2d');
+    const progress = Number.isFinite(player.duration) && player.duration > 0 ? player.currentTime / player.duration : 0;
+    const barWidth = width / peaks.length;
+    context.clearRect(0, 0, width, height);
+    
+    peaks.forEach((peak, index) => {
+      const barHeight = Math.max(scale * 2, peak * height);
+      context.fillStyle = (index + 0.5) / peaks.length <= progress ? 'rgb(98, 87, 244)' : 'rgba(128, 124, 140, 0.45)';
+      context.fillRect(index * barWidth + barWidth * 0.15, (height - barHeight) / 2, barWidth * 0.7, barHeight);
+    });
+  }
+
+  seekMedia(seconds) {
+    const { player } = this.currentMedia;
+    if (!Number.isFinite(player.duration)) return;
+    player.currentTime = Math.min(player.duration, Math.max(0, player.currentTime + seconds));
+  }
+
+  pauseMedia() {
+    if (this.currentMedia) this.currentMedia.player.pause();
+  }
+
+  teardownMediaView() {
+    if (this.currentMedia) {
+      const { player, url } = this.currentMedia;
+      player.pause();
+      // Dropping the source stops buffering; the element may stay in the DOM until the next render
+      player.removeAttribute('src');
+      player.load();
+      URL.revokeObjectURL(url);
+    }
+    this.currentMedia = null;
+  }
+
+  isSandboxedDocument(contentType, filename) {
+    const { SVG, HTML } = CONSTANTS.FILE_TYPES;
+    return contentType.includes(SVG) || contentType.includes(HTML) || /\.(svg|html?)$/i.test(filename);
+  }
+
+  // SVG and HTML can carry scripts and tracking pixels, so they never touch Front's page: they are
+  // rebuilt as a srcdoc for an iframe with no sandbox permissions and a CSP that only allows inline content
+  async renderSandboxedDocument(blob, contentType, filename) {
+    const viewer = document.getElementById('front-viewer');
+    const attachment = this.getCurrentAttachment();
+    const isSVG = contentType.includes(CONSTANTS.FILE_TYPES.SVG) || /\.svg$/i.test(filename);
+    
+    if (blob.size > CONSTANTS.SANDBOX_PREVIEW.MAX_SIZE) {
+      this.renderUnsupported(filename, contentType);
+      return;
+    }
+    
+    const text = await this.decodeTextBlob(blob, contentType);
+    if (!this.isCurrentAttachment(attachment)) return;
+    
+    const prepared = isSVG ? this.prepareSandboxedSVG(text) : this.prepareSandboxedHTML(text);
+    if (!prepared) {
+      this.renderError(`Failed to load ${filename}: the image could not be read`);
+      return;
+    }
+    
+    const { srcdoc, blockedCount, size } = prepared;
     viewer.innerHTML = `
-      <div class="front-attachment-content">
-        <div id="front-pdf-container" style="padding-top: 16px; transform: scale(${this.zoomLevel}); transform-origin: center top;"></div>
+      <div class="front-frame-view">
+        ${blockedCount > 0 ? `
+          <div class="front-frame-notice" role="status">
+            🛡️ Remote content blocked · ${blockedCount} external ${blockedCount === 1 ? 'resource was' : 'resources were'} not loaded
+          </div>
+        ` : ''}
+        <div class="front-attachment-content front-frame-content">
+          ${isSVG ? `
+            <div id="front-frame-container" style="transform: scale(${this.zoomLevel}); transform-origin: 0 0;">
+              <iframe class="front-frame" sandbox="" referrerpolicy="no-referrer" title="${this.escapeHTML(filename)}"
+                      style="width: ${size.width}px; height: ${size.height}px;"></iframe>
+            </div>
+          ` : `
+            <iframe class="front-frame front-frame-page" sandbox="" referrerpolicy="no-referrer" title="${this.escapeHTML(filename)}"></iframe>
+          `}
+        </div>
       </div>
     `;
-    const container = document.getElementById('front-pdf-container');
     
-    const renderingConfig = this.getPDFRenderingConfig();
-    
-    // Render first page immediately for fast perceived loading
-    if (pdf.numPages > 0) {
-      const firstPage = await pdf.getPage(1);
-      await this.renderPDFPage(firstPage, container, 1, renderingConfig);
-      this.updateZoomDisplay();
-    }
+    // Set as a property so the markup never has to survive attribute escaping
+    const frame = viewer.querySelector('.front-frame');
+    frame.srcdoc = srcdoc;
+    this.currentFrame = { frame, isSVG, size };
     
-    // Render remaining pages asynchronously without blocking
-    if (pdf.numPages > 1) {
-      // Use setTimeout to yield to the browser and show the first page immediately
-      setTimeout(async () => {
-        const renderPromises = [];
-        for (let pageNum = 2; pageNum <= pdf.numPages; pageNum++) {
-          // Render pages in parallel for faster loading
-          renderPromises.push(
-            pdf.getPage(pageNum).then(page => 
-              this.renderPDFPage(page, container, pageNum, renderingConfig)
-            )
-          );
-        }
-        await Promise.all(renderPromises);
-      }, 0);
+    if (isSVG) {
+      this.updateModeZoomLevel(size);
+      this.trackZoomTarget(document.getElementById('front-frame-container'));
+    } else {
+      this.layoutFrameView();
     }
+    this.updateZoomDisplay();
+    this.updateZoomButtons();
   }
 
-  getPDFRenderingConfig() {
-    const baseScale = 1.5;
-    const dpiScale = window.devicePixelRatio || 1;
-    const qualityMultiplier = this.zoomLevel > 2.0 ? Math.min(this.zoomLevel * 0.8, 2) : 1;
-    const renderScale = baseScale * dpiScale * qualityMultiplier;
-    
-    return { baseScale, dpiScale, qualityMultiplier, renderScale };
-  }
-
-  async renderPDFPage(page, container, pageNum, config) {
-    const canvasViewport = page.getViewport({ scale: config.renderScale });
-    const canvas = document.createElement('canvas');
+  prepareSandboxedHTML(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
     
-    const context = this.setupCanvas(canvas, canvasViewport, config);
-    await this.renderCanvasContent(page, context, canvasViewport);
+    // A refresh or a plain link would navigate the frame away from its CSP; links get a target the
+    // sandbox refuses to open, since popups aren't allowed either
+    doc.querySelectorAll('meta[http-equiv], base').forEach(element => element.remove());
+    doc.querySelectorAll('[target]').forEach(element => element.removeAttribute('target'));
+    const base = doc.createElement('base');
+    base.target = '_blank';
+    doc.head.prepend(base);
     
-    const pageContainer = this.createPageContainer(pageNum, canvas, config.baseScale);
-    container.appendChild(pageContainer);
+    const blockedCount = this.countExternalReferences(doc.documentElement);
+    doc.head.prepend(this.createSandboxCSP(doc));
     
-    await this.addTextLayer(page, pageContainer, config.baseScale);
+    return { srcdoc: `<!DOCTYPE html>${doc.documentElement.outerHTML}`, blockedCount };
   }
 
-  setupCanvas(canvas, viewport, config) {
-    canvas.width = viewport.width;
-    canvas.height = viewport.height;
-    canvas.style.width = viewport.width / (config.dpiScale * config.qualityMultiplier) + 'px';
-    canvas.style.height = viewport.height / (config.dpiScale * config.qualityMultiplier) + 'px';
+  prepareSandboxedSVG(text) {
+    const doc = new DOMParser().parseFromString(text, CONSTANTS.FILE_TYPES.SVG);
+    const svg = doc.documentElement;
+    if (svg.localName !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) return null;
     
-    const context = canvas.getContext('2d', { willReadFrequently: true });
-    context.imageSmoothingEnabled = true;
-    context.imageSmoothingQuality = 'high';
+    const size = this.getSVGSize(svg);
+    svg.setAttribute('width', size.width);
+    svg.setAttribute('height', size.height);
+    const blockedCount = this.countExternalReferences(svg);
     
-    return context;
+    const page = document.implementation.createHTMLDocument('');
+    page.head.prepend(this.createSandboxCSP(page));
+    const style = page.createElement('style');
+    style.textContent = 'html, body { margin: 0; overflow: hidden; } svg { display: block; }';
+    page.head.appendChild(style);
+    page.body.appendChild(page.importNode(svg, true));
+    
+    return {
+      srcdoc: `<!DOCTYPE html>${page.documentElement.outerHTML}`,
+      blockedCount,
+      size
+    };
   }
 
-  async renderCanvasContent(page, context, viewport) {
-    await page.render({ 
-      canvasContext: context, 
-      viewport: viewport,
-      intent: 'display'
-    }).promise;
+  createSandboxCSP(doc) {
+    const meta = doc.createElement('meta');
+    meta.httpEquiv = 'Content-Security-Policy';
+    meta.content = CONSTANTS.SANDBOX_PREVIEW.CSP;
+    return meta;
   }
 
-  createPageContainer(pageNum, canvas, baseScale) {
-    const pageContainer = document.createElement('div');
-    pageContainer.style.position = 'relative';
-    pageContainer.style.marginBottom = '16px';
-    pageContainer.style.setProperty('--scale-factor', baseScale);
-    pageContainer.setAttribute('data-page-number', pageNum);
-    pageContainer.style.maxWidth = '100%';
-    pageContainer.appendChild(canvas);
-    return pageContainer;
+  // Width and height in px, from the attributes when they are absolute and the viewBox otherwise
+  getSVGSize(svg) {
+    const { DEFAULT_SVG_WIDTH, DEFAULT_SVG_HEIGHT } = CONSTANTS.SANDBOX_PREVIEW;
+    const length = (value) => {
+      const match = /^\s*([\d.]+)\s*(px)?\s*$/.exec(value || '');
+      return match && parseFloat(match[1]) > 0 ? parseFloat(match[1]) : null;
+    };
+    const viewBox = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+    const hasViewBox = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0;
+    
+    let width = length(svg.getAttribute('width'));
+    let height = length(svg.getAttribute('height'));
+    if (width && !height) height = hasViewBox ? width * viewBox[3] / viewBox[2] : DEFAULT_SVG_HEIGHT;
+    if (height && !width) width = hasViewBox ? height * viewBox[2] / viewBox[3] : DEFAULT_SVG_WIDTH;
+    if (!width && hasViewBox) {
+      width = viewBox[2];
+      height = viewBox[3];
+    }
+    
+    return { width: Math.ceil(width || DEFAULT_SVG_WIDTH), height: Math.ceil(height || DEFAULT_SVG_HEIGHT) };
   }
 
-  async addTextLayer(page, pageContainer, baseScale) {
-    const textContent = await page.getTextContent();
-    const textLayerDiv = document.createElement('div');
-    
-    this.setupTextLayer(textLayerDiv, pageContainer, baseScale);
-    pageContainer.appendChild(textLayerDiv);
+  // Everything the CSP will refuse: URLs in resource attributes and in CSS, apart from embedded data: URLs
+  countExternalReferences(root) {
+    const isExternal = value => !!value && !/^\s*(data:|#|about:blank)/i.test(value);
+    const cssReferences = css => Array.from(css.matchAll(/url\(\s*['"]?([^'")]*)|@import\s+['"]([^'"]*)/gi))
+      .filter(match => isExternal(match[1] ?? match[2])).length;
+    let count = 0;
     
-    const textViewport = page.getViewport({ scale: baseScale });
-    pdfjsLib.renderTextLayer({ 
-      textContentSource: textContent, 
-      container: textLayerDiv, 
-      viewport: textViewport, 
-      textDivs: []
+    [root, ...root.querySelectorAll('*')].forEach((element) => {
+      const tag = element.localName;
+      if (tag === 'style') count += cssReferences(element.textContent);
+      
+      Array.from(element.attributes).forEach(({ name, value }) => {
+        if (name === 'style') {
+          count += cssReferences(value);
+        } else if (['src', 'srcset', 'poster', 'background', 'data'].includes(name) ||
+                   ((name === 'href' || name === 'xlink:href') && !['a', 'area', 'base'].includes(tag))) {
+          if (isExternal(value)) count++;
+        }
+      });
     });
+    
+    return count;
   }
 
-  setupTextLayer(textLayerDiv, pageContainer, baseScale) {
-    const canvas = pageContainer.querySelector('canvas');
-    textLayerDiv.className = 'textLayer';
-    textLayerDiv.style.position = 'absolute';
-    textLayerDiv.style.top = '0';
-    textLayerDiv.style.left = '0';
-    textLayerDiv.style.width = canvas.style.width;
-    textLayerDiv.style.height = canvas.style.height;
-    textLayerDiv.style.pointerEvents = 'auto';
-    textLayerDiv.style.userSelect = 'text';
-    textLayerDiv.style.color = 'transparent';
-    textLayerDiv.style.overflow = 'hidden';
-    textLayerDiv.setAttribute('data-page-number', pageContainer.getAttribute('data-page-number'));
+  // HTML pages fill the viewer and zoom like the browser would: the frame is laid out smaller and scaled up
+  layoutFrameView() {
+    const view = this.currentFrame;
+    if (!view || view.isSVG) return;
+    
+    view.frame.style.width = `${100 / this.zoomLevel}%`;
+    view.frame.style.height = `${100 / this.zoomLevel}%`;
+    view.frame.style.transform = `scale(${this.zoomLevel})`;
+  }
+
+  teardownFrameView() {
+    this.currentFrame = null;
   }
 
   renderUnsupported(filename, contentType) {
@@ -1347,12 +6359,12 @@ class FrontAttachmentViewer {
     if (this.searchMode) {
       this.closeSearch();
     } else {
-      const isPdf = this.attachments[this.currentIndex]?.contentType?.includes('application/pdf');
-      if (!isPdf) return;
+      if (!this.canSearch()) return;
       
       this.searchMode = true;
       searchControls.style.display = 'flex';
       searchBtn.style.display = 'none';
+      this.updateSearchOptionButtons();
       searchInput.focus();
     }
   }
@@ -1363,139 +6375,704 @@ class FrontAttachmentViewer {
     const searchInput = document.getElementById('front-search-input');
     
     this.searchMode = false;
+    this.searchGeneration++;
+    this.pendingSearchScrollIndex = null;
     searchControls.style.display = 'none';
     searchBtn.style.display = 'block';
     searchInput.value = '';
     this.clearSearchHighlights();
     this.searchResults = [];
     this.currentSearchIndex = 0;
+    this.updateThumbnailSearchMarkers();
     this.updateSearchCounter(true);
+    this.hideConversationResults();
+  }
+
+  canSearch() {
+    const isPdf = this.getCurrentAttachment()?.contentType?.includes('application/pdf');
+    return isPdf || this.hasSearchableDocument() || this.attachments.length > 1;
+  }
+
+  hasSearchableDocument() {
+    return !!(this.currentPdf || this.currentText || this.currentTable || this.currentDocument || this.currentSpreadsheet);
+  }
+
+  isConversationSearch() {
+    return this.searchOptions.allAttachments || !this.hasSearchableDocument();
+  }
+
+  async performSearch(query) {
+    // Clear previous debounce timer
+    if (this.searchDebounceTimer) {
+      clearTimeout(this.searchDebounceTimer);
+    }
+    
+    if (!query.trim() || (!this.hasSearchableDocument() && !this.isConversationSearch())) {
+      this.searchGeneration++;
+      this.searchResults = [];
+      this.currentSearchIndex = 0;
+      this.clearSearchHighlights();
+      this.updateThumbnailSearchMarkers();
+      this.updateSearchCounter(true);
+      this.hideConversationResults();
+      return;
+    }
+
+    // Debounce search for 300ms
+    this.searchDebounceTimer = setTimeout(() => {
+      const searchGeneration = ++this.searchGeneration;
+      let matcher;
+      
+      try {
+        matcher = this.createSearchMatcher(query, this.searchOptions);
+      } catch (error) {
+        this.showSearchError('Invalid regex');
+        this.hideConversationResults();
+        return;
+      }
+      this.lastSearchMatcher = matcher;
+      
+      if (this.isConversationSearch()) {
+        this.searchConversation(matcher, searchGeneration);
+      } else {
+        this.hideConversationResults();
+      }
+      
+      if (this.hasSearchableDocument()) {
+        this.searchCurrentDocument(matcher, searchGeneration);
+      }
+    }, 300);
+  }
+
+  async searchCurrentDocument(matcher, searchGeneration, initialIndex = 0) {
+    let results;
+    
+    try {
+      results = await this.findSearchMatches(matcher);
+    } catch (error) {
+      // The document was closed while its text was being extracted
+      return;
+    }
+    if (results === null || searchGeneration !== this.searchGeneration) return;
+    
+    this.searchResults = results;
+    this.currentSearchIndex = Math.max(0, Math.min(initialIndex, this.searchResults.length - 1));
+    this.highlightSearchResults();
+    this.updateThumbnailSearchMarkers();
+    this.updateSearchCounter(false);
+    
+    if (this.searchResults.length > 0) {
+      this.navigateToSearchResult(this.currentSearchIndex);
+    }
+  }
+
+  // Resolves to null when another document replaced this one mid-search
+  async findSearchMatches(matcher) {
+    if (matcher && this.currentText) {
+      return this.findTextSearchMatches(matcher, this.currentText.lines);
+    }
+    if (matcher && this.currentTable) {
+      return this.findTableSearchMatches(matcher);
+    }
+    if (matcher && this.currentSpreadsheet) {
+      return this.findSpreadsheetSearchMatches(matcher);
+    }
+    if (matcher && this.currentDocument) {
+      const index = this.buildPageSearchIndex(this.currentDocument, matcher.options);
+      return matcher.findAll(index.text).map(([start, length]) => this.createSearchResult(1, index, start, length));
+    }
+    
+    const pdf = this.currentPdf;
+    const results = [];
+    if (!matcher || !pdf) return results;
+    
+    // Search the text model rather than the DOM so unrendered pages and phrases
+    // split across text layer spans still match
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const index = await this.getPageSearchIndex(pageNum, matcher.options);
+      if (pdf !== this.currentPdf) return null;
+      
+      matcher.findAll(index.text).forEach(([start, length]) => {
+        results.push(this.createSearchResult(pageNum, index, start, length));
+      });
+    }
+    
+    return results;
+  }
+
+  // Text files are searched line by line; results use the line number as their page number
+  findTextSearchMatches(matcher, lines) {
+    const results = [];
+    
+    lines.forEach((line, lineIndex) => {
+      const index = this.getLineSearchIndex(line, matcher);
+      if (!index) return;
+      
+      matcher.findAll(index.text).forEach(([start, length]) => {
+        results.push(this.createSearchResult(lineIndex + 1, index, start, length));
+      });
+    });
+    
+    return results;
+  }
+
+  // Folding the whole line at once rules most lines out cheaply; only candidates get the
+  // per-character index that maps matches back to the original text
+  getLineSearchIndex(line, matcher) {
+    const options = matcher.options;
+    if (matcher.findAll(this.foldSearchLine(line, options)).length === 0) return null;
+    
+    return this.buildPageSearchIndex({ items: [{ str: line, hasEOL: false }] }, options);
+  }
+
+  foldSearchLine(line, options) {
+    const folded = (options.ignoreDiacritics ? this.stripDiacritics(line) : line.normalize('NFKC')).replace(/\s+/g, ' ').trimStart();
+    return options.matchCase ? folded : folded.toLowerCase();
+  }
+
+  // Returns null for a query that cannot match anything; throws SyntaxError for a bad regex
+  createSearchMatcher(query, options) {
+    let findAll;
+    
+    if (options.regex) {
+      const pattern = options.ignoreDiacritics ? this.stripDiacritics(query) : query;
+      if (!pattern) return null;
+      
+      const regex = new RegExp(pattern, options.matchCase ? 'g' : 'gi');
+      findAll = (text) => {
+        const matches = [];
+        let match;
+        regex.lastIndex = 0;
+        while ((match = regex.exec(text)) !== null) {
+          if (match[0].length === 0) {
+            regex.lastIndex++;
+            continue;
+          }
+          matches.push([match.index, match[0].length]);
+        }
+        return matches;
+      };
+    } else {
+      const needle = this.normalizeSearchQuery(query, options);
+      if (!needle) return null;
+      
+      findAll = (text) => {
+        const matches = [];
+        let position = text.indexOf(needle);
+        while (position !== -1) {
+          matches.push([position, needle.length]);
+          position = text.indexOf(needle, position + 1);
+        }
+        return matches;
+      };
+    }
+    
+    return {
+      options: { ...options },
+      findAll: (text) => {
+        const matches = findAll(text);
+        return options.wholeWord ?
+          matches.filter(([start, length]) => this.isWholeWordMatch(text, start, length)) :
+          matches;
+      }
+    };
+  }
+
+  isWholeWordMatch(text, start, length) {
+    const isWordChar = (char) => !!char && /[\p{L}\p{N}_]/u.test(char);
+    return !isWordChar(text[start - 1]) && !isWordChar(text[start + length]);
+  }
+
+  async getPageSearchIndex(pageNum, options) {
+    // Case and accent folding change the indexed text, so each combination gets its own index
+    const key = `${pageNum}:${options.matchCase}:${options.ignoreDiacritics}`;
+    if (!this.pageSearchIndex.has(key)) {
+      const textContent = await this.getPageTextContent(pageNum);
+      this.pageSearchIndex.set(key, this.buildPageSearchIndex(textContent, options));
+    }
+    return this.pageSearchIndex.get(key);
+  }
+
+  // Joins a page's text items into one normalized string, remembering for every
+  // character which text item (and so which text layer span) it came from
+  buildPageSearchIndex(textContent, options) {
+    const items = textContent.items;
+    const itemIndices = [];
+    const charIndices = [];
+    let text = '';
+    let joinNextLine = false;
+    
+    const append = (chunk, itemIndex, charIndex) => {
+      for (let i = 0; i < chunk.length; i++) {
+        text += chunk[i];
+        itemIndices.push(itemIndex);
+        charIndices.push(charIndex);
+      }
+    };
+    const appendSpace = (itemIndex, charIndex) => {
+      if (text.length > 0 && !text.endsWith(' ') && !joinNextLine) {
+        append(' ', itemIndex, charIndex);
+      }
+    };
+    
+    items.forEach((item, itemIndex) => {
+      const str = item.str;
+      const next = items[itemIndex + 1];
+      const endsLine = item.hasEOL || (!!next && next.str === '' && next.hasEOL);
+      // "invoice num-" + "ber" on the next line is searchable as "invoice number"
+      const hyphenated = endsLine && /[-\u00AD]$/.test(str);
+      const length = hyphenated ? str.length - 1 : str.length;
+      
+      for (let charIndex = 0; charIndex < length; charIndex++) {
+        const folded = this.foldSearchChar(str[charIndex], options);
+        if (!folded) continue;
+        
+        if (/^\s+$/.test(folded)) {
+          appendSpace(itemIndex, charIndex);
+        } else {
+          joinNextLine = false;
+          append(folded, itemIndex, charIndex);
+        }
+      }
+      
+      if (hyphenated) {
+        joinNextLine = true;
+      } else if (item.hasEOL) {
+        appendSpace(itemIndex, str.length);
+      }
+    });
+    
+    return { text, itemIndices, charIndices };
+  }
+
+  foldSearchChar(char, options) {
+    const folded = options.ignoreDiacritics ? this.stripDiacritics(char) : char.normalize('NFKC');
+    return options.matchCase ? folded : folded.toLowerCase();
+  }
+
+  stripDiacritics(text) {
+    return text.normalize('NFKD').replace(/\p{M}/gu, '');
+  }
+
+  normalizeSearchQuery(query, options) {
+    let needle = '';
+    
+    for (const char of query) {
+      const folded = this.foldSearchChar(char, options);
+      if (!folded) continue;
+      
+      if (/^\s+$/.test(folded)) {
+        if (needle && !needle.endsWith(' ')) needle += ' ';
+      } else {
+        needle += folded;
+      }
+    }
+    
+    return needle.trim();
+  }
+
+  createSearchResult(pageNum, index, start, length) {
+    const last = start + length - 1;
+    
+    return {
+      pageNum,
+      startItem: index.itemIndices[start],
+      startChar: index.charIndices[start],
+      endItem: index.itemIndices[last],
+      endChar: index.charIndices[last] + 1,
+      text: index.text.substr(start, length)
+    };
+  }
+
+  async searchConversation(matcher, searchGeneration) {
+    const attachments = this.attachments.slice();
+    const groups = [];
+    
+    for (let i = 0; i < attachments.length; i++) {
+      this.renderConversationResults(groups, `Searching ${i + 1} of ${attachments.length} files…`);
+      
+      const attachment = attachments[i];
+      const group = { hash: attachment.hash, filename: attachment.filename, hits: [], total: 0, unsearchable: false };
+      
+      try {
+        const pages = matcher ? await this.extractAttachmentText(attachment) : [];
+        if (pages === null) {
+          group.unsearchable = true;
+        } else {
+          this.collectConversationHits(pages, matcher, group);
+        }
+      } catch (error) {
+        group.unsearchable = true;
+      }
+      if (searchGeneration !== this.searchGeneration) return;
+      
+      groups.push(group);
+    }
+    
+    const total = groups.reduce((sum, group) => sum + group.total, 0);
+    const fileCount = groups.filter(group => group.total > 0).length;
+    this.renderConversationResults(groups, total > 0 ?
+      `${total} ${total === 1 ? 'match' : 'matches'} in ${fileCount} ${fileCount === 1 ? 'file' : 'files'}` :
+      'No matches in this conversation');
+    
+    if (!this.hasSearchableDocument()) {
+      const counter = document.getElementById('front-search-counter');
+      counter.textContent = `${total} ${total === 1 ? 'match' : 'matches'}`;
+    }
+  }
+
+  collectConversationHits(pages, matcher, group) {
+    const maxHits = CONSTANTS.CONVERSATION_SEARCH.MAX_HITS_PER_FILE;
+    
+    const addHits = (index, items, pageNum, label) => {
+      matcher.findAll(index.text).forEach(([start, length]) => {
+        const result = this.createSearchResult(pageNum, index, start, length);
+        // The ordinal lines up with the order findSearchMatches produces once the file is open
+        if (group.hits.length < maxHits) {
+          group.hits.push({
+            ordinal: group.total,
+            label: label ?? `p. ${result.pageNum}`,
+            snippet: this.buildSearchSnippet(items, result)
+          });
+        }
+        group.total++;
+      });
+    };
+    
+    pages.forEach((textContent, pageIndex) => {
+      // Tables come in as one entry per row, split into cells only when the row can match
+      if (textContent.cells) {
+        if (!this.canRowMatch(textContent.cells, matcher)) return;
+        textContent.cells.forEach((value, column) => {
+          const index = value ? this.getLineSearchIndex(value, matcher) : null;
+          if (!index) return;
+          const label = textContent.sheet ? this.getCellLabel(textContent.sheet, textContent.row, column) : textContent.label;
+          addHits(index, [{ str: value, hasEOL: false }], pageIndex + 1, label);
+        });
+        return;
+      }
+      
+      // Text files come in as one page per line
+      const index = textContent.isLine ?
+        this.getLineSearchIndex(textContent.items[0].str, matcher) :
+        this.buildPageSearchIndex(textContent, matcher.options);
+      if (index) addHits(index, textContent.items, pageIndex + 1, textContent.label);
+    });
+  }
+
+  // Anything a plain query finds in one cell it also finds in the joined row, so one pass rules
+  // most rows out; a regex may anchor to the start or end of a cell, so it always checks each cell
+  canRowMatch(cells, matcher) {
+    if (matcher.options.regex) return true;
+    return matcher.findAll(this.foldSearchLine(cells.join('\n'), matcher.options)).length > 0;
+  }
+
+  buildSearchSnippet(items, result) {
+    const context = CONSTANTS.CONVERSATION_SEARCH.SNIPPET_CONTEXT;
+    const itemText = (item) => item.str + (item.hasEOL ? ' ' : '');
+    
+    let before = items[result.startItem].str.slice(0, result.startChar);
+    for (let i = result.startItem - 1; i >= 0 && before.length < context; i--) {
+      before = itemText(items[i]) + before;
+    }
+    
+    let match = '';
+    for (let i = result.startItem; i <= result.endItem; i++) {
+      const str = items[i].str;
+      match += str.slice(i === result.startItem ? result.startChar : 0, i === result.endItem ? result.endChar : str.length);
+      if (i < result.endItem && items[i].hasEOL) match += ' ';
+    }
+    
+    let after = itemText(items[result.endItem]).slice(result.endChar);
+    for (let i = result.endItem + 1; i < items.length && after.length < context; i++) {
+      after += itemText(items[i]);
+    }
+    
+    before = before.replace(/\s+/g, ' ');
+    after = after.replace(/\s+/g, ' ');
+    
+    return {
+      before: before.length > context ? '…' + before.slice(-context) : before,
+      match,
+      after: after.length > context ? after.slice(0, context) + '…' : after
+    };
+  }
+
+  // Returns one textContent-like { items } object per page, or one { cells } object per table row,
+  // or null when the file has no searchable text
+  async extractAttachmentText(attachment) {
+    if (this.conversationTextCache.has(attachment.hash)) {
+      return this.conversationTextCache.get(attachment.hash);
+    }
+    
+    const { blob, contentType } = await this.getAttachmentData(attachment);
+    let pages = null;
+    
+    if (contentType.includes('application/pdf')) {
+      pages = await this.extractPDFText(blob, this.pdfPasswords.get(attachment.hash));
+    } else if (this.isEmailMessage(contentType, attachment.filename)) {
+      const page = this.buildEmailPage(await this.parseEmail(blob));
+      pages = [{ items: this.getDocumentTextContent(page).items, label: '' }];
+    } else if (this.isWordDocument(contentType, attachment.filename)) {
+      const container = document.createElement('div');
+      container.appendChild(this.sanitizeHTML(await this.convertDocxToHTML(blob)));
+      pages = [{ items: this.getDocumentTextContent(container).items, label: '' }];
+    } else if (this.isSpreadsheet(contentType, attachment.filename)) {
+      const sheets = await this.parseSpreadsheet(blob);
+      let cellCount = 0;
+      pages = [];
+      sheets.forEach((sheet) => {
+        // Only the name is needed for labels, so the rest of the workbook can be let go
+        const sheetName = { name: sheet.name };
+        sheet.rows.forEach((row, rowIndex) => {
+          if (cellCount >= CONSTANTS.CONVERSATION_SEARCH.MAX_INDEXED_CELLS) return;
+          cellCount += row.cells.reduce(count => count + 1, 0);
+          pages.push({ cells: row.cells, sheet: sheetName, row: rowIndex });
+        });
+      });
+    } else if (this.isDelimitedAttachment(contentType, attachment.filename) &&
+               blob.size <= CONSTANTS.TEXT_PREVIEW.MAX_SIZE) {
+      // Rows in file order, as the table shows them before any sorting or filtering
+      const { rows } = await this.parseDelimitedAttachment(blob, contentType, attachment.filename);
+      pages = rows.map((row, rowIndex) => ({ cells: row, label: `row ${rowIndex + 1}` }));
+    } else if (!contentType.startsWith('image/') && !this.isSandboxedDocument(contentType, attachment.filename) &&
+               await this.isTextAttachment(blob, contentType, attachment.filename)) {
+      // Same lines as the preview shows, so hit ordinals match once the file is open
+      const { lines } = await this.prepareTextDocument(blob, contentType, attachment.filename);
+      pages = lines.map((line, lineIndex) => ({
+        items: [{ str: line, hasEOL: false }],
+        isLine: true,
+        label: `line ${lineIndex + 1}`
+      }));
+    }
+    
+    this.conversationTextCache.set(attachment.hash, pages);
+    return pages;
   }
 
-  async performSearch(query) {
-    // Clear previous debounce timer
-    if (this.searchDebounceTimer) {
-      clearTimeout(this.searchDebounceTimer);
+  async getAttachmentData(attachment) {
+    const cacheKey = `${attachment.hash}-${attachment.url}`;
+    if (this.preloadCache.has(cacheKey)) {
+      return this.preloadCache.get(cacheKey);
     }
     
-    if (!query.trim() || !this.currentPdf) {
-      this.searchResults = [];
-      this.currentSearchIndex = 0;
-      this.clearSearchHighlights();
-      this.updateSearchCounter(true);
-      return;
+    if (!this.isExtensionContextValid()) {
+      throw new Error('Extension context invalidated - please refresh the page');
     }
+    
+    const { blob, contentType } = await this.fetchAttachment(attachment);
+    this.preloadCache.set(cacheKey, { blob, contentType, timestamp: Date.now(), index: this.attachments.indexOf(attachment) });
+    this.manageCacheSize();
+    return { blob, contentType };
+  }
 
-    // Debounce search for 300ms
-    this.searchDebounceTimer = setTimeout(() => {
-      this.searchResults = [];
-      this.currentSearchIndex = 0;
-      this.clearSearchHighlights();
-
-      const searchTerm = query.toLowerCase().trim();
-      
-      this.findSearchMatches(searchTerm);
-      this.highlightSearchResults();
-      this.updateSearchCounter(false);
-      
-      if (this.searchResults.length > 0) {
-        this.navigateToSearchResult(0);
+  async extractPDFText(blob, password) {
+    this.configurePDFWorker();
+    
+    // One shared worker keeps a conversation of many PDFs from spawning a worker per file
+    if (!this.pdfWorker) {
+      this.pdfWorker = new pdfjsLib.PDFWorker();
+    }
+    
+    const data = new Uint8Array(await blob.arrayBuffer());
+    const loadingTask = pdfjsLib.getDocument({ data, password, worker: this.pdfWorker });
+    // Locked files throw rather than cache as unsearchable, so they are picked up once unlocked
+    const pdf = await new Promise((resolve, reject) => {
+      loadingTask.onPassword = () => {
+        loadingTask.destroy();
+        reject(new Error('PDF is password protected'));
+      };
+      loadingTask.promise.then(resolve, reject);
+    });
+    
+    try {
+      const pages = [];
+      for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+        const page = await pdf.getPage(pageNum);
+        const textContent = await page.getTextContent();
+        pages.push({ items: textContent.items.map(({ str, hasEOL }) => ({ str, hasEOL })) });
+        page.cleanup();
       }
-    }, 300);
+      return pages;
+    } finally {
+      pdf.destroy();
+    }
   }
 
-  findSearchMatches(searchTerm) {
-    for (let pageNum = 1; pageNum <= this.currentPdf.numPages; pageNum++) {
-      const textLayer = document.querySelector(`.textLayer[data-page-number="${pageNum}"]`);
-      if (!textLayer) continue;
+  renderConversationResults(groups, status) {
+    const panel = document.getElementById('front-conversation-results');
+    const header = document.getElementById('front-conversation-results-header');
+    const list = document.getElementById('front-conversation-results-list');
+    if (!panel || !header || !list) return;
+    
+    panel.style.display = 'flex';
+    header.textContent = status;
+    list.replaceChildren();
+    
+    groups.forEach((group) => {
+      if (group.total === 0 && !group.unsearchable) return;
+      
+      const groupEl = document.createElement('div');
+      groupEl.className = 'front-conversation-group';
       
-      const textSpans = textLayer.querySelectorAll('span');
+      const title = document.createElement('div');
+      title.className = 'front-conversation-group-title';
+      title.textContent = group.filename;
       
-      textSpans.forEach((span, itemIndex) => {
-        const renderedText = span.textContent.toLowerCase();
-        this.findMatchesInSpan(renderedText, searchTerm, span, pageNum, itemIndex);
+      const count = document.createElement('span');
+      count.className = 'front-conversation-group-count';
+      count.textContent = group.unsearchable ? 'not searchable' : group.total;
+      title.appendChild(count);
+      groupEl.appendChild(title);
+      
+      group.hits.forEach((hit) => {
+        const hitEl = document.createElement('button');
+        hitEl.type = 'button';
+        hitEl.className = 'front-conversation-hit';
+        
+        const page = document.createElement('span');
+        page.className = 'front-conversation-hit-page';
+        page.textContent = hit.label;
+        
+        const snippet = document.createElement('span');
+        snippet.className = 'front-conversation-hit-snippet';
+        const mark = document.createElement('mark');
+        mark.textContent = hit.snippet.match;
+        snippet.append(hit.snippet.before, mark, hit.snippet.after);
+        
+        // Word documents have no pages to point at
+        if (hit.label) hitEl.append(page);
+        hitEl.append(snippet);
+        hitEl.addEventListener('click', () => this.openConversationSearchHit(group.hash, hit));
+        groupEl.appendChild(hitEl);
       });
-    }
+      
+      if (group.total > group.hits.length) {
+        const more = document.createElement('div');
+        more.className = 'front-conversation-more';
+        more.textContent = `${group.total - group.hits.length} more in this file`;
+        groupEl.appendChild(more);
+      }
+      
+      list.appendChild(groupEl);
+    });
+  }
+
+  hideConversationResults() {
+    const panel = document.getElementById('front-conversation-results');
+    if (panel) panel.style.display = 'none';
   }
 
-  findMatchesInSpan(renderedText, searchTerm, span, pageNum, itemIndex) {
-    let searchIndex = 0;
+  async openConversationSearchHit(hash, hit) {
+    const index = this.attachments.findIndex(att => att.hash === hash);
+    if (index === -1 || this.isTransitioning) return;
     
-    while ((searchIndex = renderedText.indexOf(searchTerm, searchIndex)) !== -1) {
-      this.searchResults.push({
-        pageNum,
-        itemIndex,
-        charIndex: searchIndex,
-        renderedCharIndex: searchIndex,
-        text: span.textContent,
-        renderedText: span.textContent,
-        length: searchTerm.length,
-        span: span
-      });
-      
-      searchIndex += 1;
+    if (index !== this.currentIndex) {
+      this.navigationDirection = index > this.currentIndex ? 'forward' : 'backward';
+      this.currentIndex = index;
+      this.isTransitioning = true;
+      await this.loadCurrentAttachment();
+      this.isTransitioning = false;
+    }
+    
+    if (this.hasSearchableDocument() && this.lastSearchMatcher && this.searchMode) {
+      await this.searchCurrentDocument(this.lastSearchMatcher, this.searchGeneration, hit.ordinal);
     }
   }
 
   highlightSearchResults() {
     this.clearSearchHighlights();
+    if (this.currentText) {
+      this.applyTextSearchHighlights();
+      return;
+    }
+    if (this.currentTable) {
+      this.applyTableSearchHighlights();
+      return;
+    }
+    if (this.currentDocument) {
+      this.applyDocumentSearchHighlights();
+      return;
+    }
+    if (this.currentSpreadsheet) {
+      this.applySpreadsheetSearchHighlights();
+      return;
+    }
+    this.renderedPages.forEach(pageNum => this.applySearchHighlightsToPage(pageNum));
+  }
+
+  applySearchHighlightsToPage(pageNum) {
+    if (this.searchResults.length === 0) return;
     
     this.searchResults.forEach((result, globalIndex) => {
-      this.createSearchHighlight(result, globalIndex);
+      if (result.pageNum === pageNum) {
+        this.createSearchHighlight(result, globalIndex);
+      }
     });
+    this.updateCurrentSearchHighlight(this.currentSearchIndex);
+    
+    const pendingIndex = this.pendingSearchScrollIndex;
+    if (pendingIndex !== null && this.searchResults[pendingIndex]?.pageNum === pageNum) {
+      this.pendingSearchScrollIndex = null;
+      requestAnimationFrame(() => this.scrollToSearchResultSmooth(pendingIndex));
+    }
   }
 
   createSearchHighlight(result, globalIndex) {
-    const targetSpan = result.span;
-    if (!targetSpan) return;
-
-    const textNode = targetSpan.firstChild;
-    if (!textNode || textNode.nodeType !== Node.TEXT_NODE) return;
-
-    try {
-      this.createRangeHighlight(textNode, result, globalIndex);
-    } catch (error) {
-      this.createFallbackHighlight(result, globalIndex);
+    const textDivs = this.pageTextDivs.get(result.pageNum);
+    if (!textDivs) return;
+    
+    // A match can start in one span and end several spans later
+    for (let itemIndex = result.startItem; itemIndex <= result.endItem; itemIndex++) {
+      const targetSpan = textDivs[itemIndex];
+      const textNode = targetSpan && targetSpan.firstChild;
+      if (!textNode || textNode.nodeType !== Node.TEXT_NODE) continue;
+      
+      const startIndex = itemIndex === result.startItem ? result.startChar : 0;
+      const endIndex = Math.min(itemIndex === result.endItem ? result.endChar : textNode.length, textNode.length);
+      if (endIndex <= startIndex) continue;
+      
+      try {
+        this.createRangeHighlight(textNode, targetSpan, startIndex, endIndex, globalIndex);
+      } catch (error) {
+        this.createFallbackHighlight(targetSpan, startIndex, endIndex, globalIndex);
+      }
     }
   }
 
-  createRangeHighlight(textNode, result, globalIndex) {
+  createRangeHighlight(textNode, targetSpan, startIndex, endIndex, globalIndex) {
     const range = document.createRange();
-    const startIndex = result.renderedCharIndex;
-    const endIndex = startIndex + result.length;
+    range.setStart(textNode, startIndex);
+    range.setEnd(textNode, endIndex);
     
-    if (startIndex >= 0 && endIndex <= textNode.textContent.length) {
-      range.setStart(textNode, startIndex);
-      range.setEnd(textNode, endIndex);
-      
-      const rects = range.getClientRects();
-      if (rects.length > 0) {
-        this.createHighlightElements(rects, result.span, globalIndex);
-      }
+    const rects = range.getClientRects();
+    if (rects.length > 0) {
+      this.createHighlightElements(rects, targetSpan, globalIndex);
     }
   }
 
   createHighlightElements(rects, targetSpan, globalIndex) {
-    const textLayer = targetSpan.closest('.textLayer');
-    if (!textLayer) return;
+    // The page container stays upright when the text layer is rotated, so screen rects map straight onto it
+    const pageContainer = targetSpan.closest('.front-pdf-page');
+    if (!pageContainer) return;
 
     const pdfContainer = document.getElementById('front-pdf-container');
     const currentZoom = pdfContainer ? this.zoomLevel : 1;
     
     for (let i = 0; i < rects.length; i++) {
       const rect = rects[i];
-      const highlight = this.createHighlightElement(rect, textLayer, globalIndex, i, currentZoom);
-      textLayer.appendChild(highlight);
+      const highlight = this.createHighlightElement(rect, pageContainer, globalIndex, i, currentZoom);
+      pageContainer.appendChild(highlight);
     }
   }
 
-  createHighlightElement(rect, textLayer, globalIndex, rectIndex, zoomLevel) {
+  createHighlightElement(rect, container, globalIndex, rectIndex, zoomLevel) {
     const highlight = document.createElement('div');
     highlight.className = 'search-highlight';
     highlight.setAttribute('data-search-index', globalIndex);
     highlight.setAttribute('data-rect-index', rectIndex);
     
-    const layerRect = textLayer.getBoundingClientRect();
+    const layerRect = container.getBoundingClientRect();
     
     const relativeLeft = (rect.left - layerRect.left) / zoomLevel;
     const relativeTop = (rect.top - layerRect.top) / zoomLevel;
@@ -1520,8 +7097,7 @@ class FrontAttachmentViewer {
     return highlight;
   }
 
-  createFallbackHighlight(result, globalIndex) {
-    const targetSpan = result.span;
+  createFallbackHighlight(targetSpan, startIndex, endIndex, globalIndex) {
     const textLayer = targetSpan.closest('.textLayer');
     if (!textLayer) return;
     
@@ -1533,8 +7109,8 @@ class FrontAttachmentViewer {
     
     const textLength = targetSpan.textContent.length;
     const charWidth = textLength > 0 ? (spanRect.width / currentZoom) / textLength : 0;
-    const highlightLeft = (result.renderedCharIndex * charWidth);
-    const highlightWidth = result.length * charWidth;
+    const highlightLeft = (startIndex * charWidth);
+    const highlightWidth = (endIndex - startIndex) * charWidth;
     
     const highlight = document.createElement('div');
     highlight.className = 'search-highlight search-highlight-fallback';
@@ -1582,13 +7158,39 @@ class FrontAttachmentViewer {
   navigateToSearchResult(index) {
     this.updateCurrentSearchHighlight(index);
     
-    requestAnimationFrame(() => {
-      this.scrollToSearchResultSmooth(index);
-    });
+    const result = this.searchResults[index];
+    if (this.currentText) {
+      this.scrollToTextResult(index);
+    } else if (this.currentTable) {
+      this.scrollToTableResult(index);
+    } else if (this.currentSpreadsheet) {
+      this.scrollToSpreadsheetResult(index);
+    } else if (result && !this.currentDocument && !this.pageTextDivs.has(result.pageNum)) {
+      // Bring the page into view first; applySearchHighlightsToPage finishes the scroll once it renders
+      this.pendingSearchScrollIndex = index;
+      this.scrollToPDFPage(result.pageNum);
+    } else {
+      requestAnimationFrame(() => {
+        this.scrollToSearchResultSmooth(index);
+      });
+    }
     
     this.updateSearchCounter();
   }
 
+  scrollToPDFPage(pageNum, offsetTop = 0) {
+    const pageContainer = this.pagePlaceholders.get(pageNum);
+    const container = document.querySelector('.front-attachment-content');
+    if (!pageContainer || !container) return;
+    
+    const containerRect = container.getBoundingClientRect();
+    const pageRect = pageContainer.getBoundingClientRect();
+    const targetTop = pageRect.top - containerRect.top + container.scrollTop + offsetTop * this.zoomLevel - 16;
+    
+    // Jump rather than animate so long documents don't render every page in between
+    container.scrollTop = Math.max(0, targetTop);
+  }
+
   scrollToSearchResultSmooth(index) {
     const currentHighlights = document.querySelectorAll(`[data-search-index="${index}"]`);
     if (currentHighlights.length === 0) return;
@@ -1659,6 +7261,8 @@ class FrontAttachmentViewer {
     const prevBtn = document.getElementById('front-search-prev-btn');
     const nextBtn = document.getElementById('front-search-next-btn');
     
+    this.setSearchErrorState(false);
+    
     if (isEmptyQuery) {
       counter.textContent = '';
       prevBtn.disabled = true;
@@ -1668,39 +7272,97 @@ class FrontAttachmentViewer {
       prevBtn.disabled = true;
       nextBtn.disabled = true;
     } else {
-      counter.textContent = `${this.currentSearchIndex + 1} of ${this.searchResults.length}`;
+      // Spreadsheet results also name the cell they're in
+      const label = this.searchResults[this.currentSearchIndex].label;
+      counter.textContent = `${this.currentSearchIndex + 1} of ${this.searchResults.length}` + (label ? ` · ${label}` : '');
       prevBtn.disabled = false;
       nextBtn.disabled = false;
     }
   }
 
+  showSearchError(message) {
+    this.searchResults = [];
+    this.currentSearchIndex = 0;
+    this.clearSearchHighlights();
+    this.updateThumbnailSearchMarkers();
+    this.updateSearchCounter(true);
+    
+    document.getElementById('front-search-counter').textContent = message;
+    this.setSearchErrorState(true);
+  }
+
+  setSearchErrorState(hasError) {
+    const counter = document.getElementById('front-search-counter');
+    const searchBox = document.querySelector('.front-search-box');
+    
+    if (counter) counter.classList.toggle('error', hasError);
+    if (searchBox) searchBox.classList.toggle('error', hasError);
+  }
+
   updateSearchVisibility() {
     const searchBtn = document.getElementById('front-search-btn');
-    const isPdf = this.attachments[this.currentIndex]?.contentType?.includes('application/pdf');
+    const canSearch = this.canSearch();
     
-    searchBtn.style.display = isPdf ? 'block' : 'none';
-    
-    if (!isPdf) {
+    if (!canSearch) {
       this.closeSearch();
     }
+    
+    if (!this.searchMode) {
+      searchBtn.style.display = canSearch ? 'block' : 'none';
+    }
+    this.updateSearchOptionButtons();
   }
 
   zoomIn() {
     if (this.zoomLevel < this.maxZoom) {
-      this.zoomLevel = Math.min(this.maxZoom, this.zoomLevel + this.zoomStep);
-      this.applyZoom();
+      // Snap to the step grid so zooming in from a fit mode or a pinch lands on a round percentage
+      const nextStep = (Math.floor(this.zoomLevel / this.zoomStep + 0.001) + 1) * this.zoomStep;
+      this.setZoomLevel(nextStep);
     }
   }
 
   zoomOut() {
     if (this.zoomLevel > this.minZoom) {
-      this.zoomLevel = Math.max(this.minZoom, this.zoomLevel - this.zoomStep);
+      const previousStep = (Math.ceil(this.zoomLevel / this.zoomStep - 0.001) - 1) * this.zoomStep;
+      this.setZoomLevel(previousStep);
+    }
+  }
+
+  // Keeps the content under `anchor` (client coordinates, default the viewer center) in place
+  setZoomLevel(zoomLevel, anchor) {
+    const newZoom = Math.min(this.maxZoom, Math.max(this.minZoom, zoomLevel));
+    this.zoomMode = 'custom';
+    if (Math.abs(newZoom - this.zoomLevel) < 0.0001) return;
+    
+    const target = this.getZoomTarget();
+    const scrollRoot = target && target.parentElement;
+    if (!scrollRoot) {
+      this.zoomLevel = newZoom;
       this.applyZoom();
+      return;
+    }
+    
+    if (!anchor) {
+      const rootRect = scrollRoot.getBoundingClientRect();
+      anchor = { x: rootRect.left + rootRect.width / 2, y: rootRect.top + rootRect.height / 2 };
     }
+    
+    const before = target.getBoundingClientRect();
+    const contentX = (anchor.x - before.left) / this.zoomLevel;
+    const contentY = (anchor.y - before.top) / this.zoomLevel;
+    
+    this.zoomLevel = newZoom;
+    this.applyZoom();
+    
+    const after = target.getBoundingClientRect();
+    scrollRoot.scrollLeft += after.left + contentX * newZoom - anchor.x;
+    scrollRoot.scrollTop += after.top + contentY * newZoom - anchor.y;
   }
 
   resetZoom() {
+    this.zoomMode = 'auto';
     this.zoomLevel = 1;
+    this.updateModeZoomLevel();
     this.lastPdfRenderZoom = 1;
     if (this.pdfRenderTimeout) {
       clearTimeout(this.pdfRenderTimeout);
@@ -1709,22 +7371,168 @@ class FrontAttachmentViewer {
     this.applyZoom();
   }
 
+  setZoomMode(mode) {
+    this.hideZoomMenu();
+    this.zoomMode = mode;
+    this.updateModeZoomLevel();
+    this.applyZoom();
+  }
+
+  // Recomputes zoomLevel for the named modes; returns true when it changed
+  updateModeZoomLevel(contentSize = this.getZoomContentSize()) {
+    if (this.zoomMode === 'custom' || !contentSize) return false;
+    
+    const zoom = this.getModeZoom(this.zoomMode, contentSize);
+    if (zoom === null || Math.abs(zoom - this.zoomLevel) < 0.001) return false;
+    
+    this.zoomLevel = zoom;
+    return true;
+  }
+
+  getModeZoom(mode, contentSize) {
+    const viewer = document.getElementById('front-viewer');
+    if (!viewer || !contentSize.width || !contentSize.height) return null;
+    
+    const margin = CONSTANTS.ZOOM.FIT_MARGIN;
+    const widthZoom = (viewer.clientWidth - margin * 2) / contentSize.width;
+    const pageZoom = Math.min(widthZoom, (viewer.clientHeight - margin * 2) / contentSize.height);
+    if (!(pageZoom > 0)) return null;
+    
+    let zoom;
+    switch (mode) {
+      case 'fit-width':
+        zoom = widthZoom;
+        break;
+      case 'fit-page':
+        zoom = pageZoom;
+        break;
+      case 'actual-size':
+        zoom = 1;
+        break;
+      default:
+        // PDFs open at 100%; images shrink to fit but are never blown up past their own size,
+        // and page stacks do the same by width since they are read by scrolling
+        if (contentSize.isPDF) {
+          zoom = 1;
+        } else {
+          zoom = Math.min(1, contentSize.isPageStack ? widthZoom : pageZoom);
+        }
+    }
+    
+    return Math.min(this.maxZoom, Math.max(this.minZoom, zoom));
+  }
+
+  getZoomContentSize() {
+    const target = this.getZoomTarget();
+    if (!target) return null;
+    
+    if (target.id === 'front-pdf-container') {
+      const page = this.pagePlaceholders.get(this.currentPageNum) || this.pagePlaceholders.get(1);
+      return page ? { width: page.offsetWidth, height: page.offsetHeight, isPDF: true } : null;
+    }
+    
+    if (target.id === 'front-image-pages') {
+      const page = this.imagePages[0];
+      return page ? { width: page.element.offsetWidth, height: page.element.offsetHeight, isPageStack: true } : null;
+    }
+    
+    if (target.id === 'front-document') {
+      const page = target.firstElementChild;
+      return { width: page.offsetWidth, height: page.offsetHeight, isPageStack: true };
+    }
+    
+    if (target.id === 'front-frame-container') {
+      return this.currentFrame ? this.currentFrame.size : null;
+    }
+    
+    const img = target.querySelector('img');
+    return img && img.naturalWidth ? this.getRotatedSize(img.naturalWidth, img.naturalHeight, this.getCurrentRotation()) : null;
+  }
+
+  toggleZoomMenu() {
+    const menu = document.getElementById('front-zoom-menu');
+    if (!menu) return;
+    
+    if (menu.style.display !== 'none') {
+      this.hideZoomMenu();
+      return;
+    }
+    
+    menu.querySelectorAll('[data-zoom-mode]').forEach((item) => {
+      item.classList.toggle('active', item.getAttribute('data-zoom-mode') === this.zoomMode);
+    });
+    menu.style.display = 'flex';
+  }
+
+  hideZoomMenu() {
+    const menu = document.getElementById('front-zoom-menu');
+    if (menu) menu.style.display = 'none';
+  }
+
   applyZoom() {
     const targetContainer = this.getZoomTarget();
     
     if (targetContainer) {
-      targetContainer.style.transform = `scale(${this.zoomLevel})`;
+      this.layoutZoomTarget(targetContainer);
       this.handlePDFZoomRerendering();
+    } else if (this.currentText) {
+      this.layoutTextView();
+    } else if (this.currentTable) {
+      this.layoutTableView();
+    } else if (this.currentSpreadsheet) {
+      this.layoutSpreadsheetView();
+    } else if (this.currentFrame) {
+      this.layoutFrameView();
     }
     
     this.updateZoomDisplay();
     this.updateZoomButtons();
   }
 
+  // Called whenever a new image or PDF container is rendered
+  trackZoomTarget(target) {
+    if (this.zoomTarget) {
+      this.zoomTargetObserver.unobserve(this.zoomTarget);
+    }
+    this.zoomTarget = target;
+    this.zoomTargetObserver.observe(target);
+  }
+
+  layoutZoomTarget(target) {
+    const width = target.offsetWidth;
+    const height = target.offsetHeight;
+    
+    // PDF pages rotate through their viewport and stacked pages one by one;
+    // single images rotate the whole container
+    const rotation = target.id === 'front-image-container' ? this.getCurrentRotation() : 0;
+    target.style.transform = `scale(${this.zoomLevel}) ${this.getRotationTransform(width, height, rotation)}`;
+    
+    // scale() leaves the layout box at full size, so margins grow or shrink it to what is on
+    // screen; otherwise fitted images leave huge scroll areas and zoomed pages can't be scrolled to
+    const visual = this.getRotatedSize(width, height, rotation);
+    target.style.marginRight = `${visual.width * this.zoomLevel - width}px`;
+    target.style.marginBottom = `${visual.height * this.zoomLevel - height}px`;
+    
+    const scrollRoot = target.parentElement;
+    if (scrollRoot) {
+      scrollRoot.classList.toggle('pannable',
+        scrollRoot.scrollWidth > scrollRoot.clientWidth || scrollRoot.scrollHeight > scrollRoot.clientHeight);
+    }
+  }
+
+  // Rotates a box with transform-origin 0 0 and shifts it back into place
+  getRotationTransform(width, height, rotation) {
+    const [shiftX, shiftY] = { 0: [0, 0], 90: [height, 0], 180: [width, height], 270: [0, width] }[rotation];
+    return `translate(${shiftX}px, ${shiftY}px) rotate(${rotation}deg)`;
+  }
+
   getZoomTarget() {
     const pdfContainer = document.getElementById('front-pdf-container');
     const imageContainer = document.getElementById('front-image-container');
-    return pdfContainer || imageContainer;
+    const imagePages = document.getElementById('front-image-pages');
+    const documentContainer = document.getElementById('front-document');
+    const frameContainer = document.getElementById('front-frame-container');
+    return pdfContainer || imageContainer || imagePages || documentContainer || frameContainer;
   }
 
   handlePDFZoomRerendering() {
@@ -1744,10 +7552,20 @@ class FrontAttachmentViewer {
   }
 
   rerenderPDFAtZoom() {
-    const attachment = this.attachments[this.currentIndex];
-    if (attachment && attachment.blob && attachment.contentType.includes('application/pdf')) {
-      this.lastPdfRenderZoom = this.zoomLevel;
-      this.renderPDF(attachment.blob);
+    if (!this.currentPdf || !this.isVirtualScrolling) return;
+    
+    this.lastPdfRenderZoom = this.zoomLevel;
+    this.pdfRenderingConfig = this.getPDFRenderingConfig();
+    
+    // Visible pages keep their old canvas until the sharper one is ready
+    for (const pageNum of Array.from(this.renderedPages)) {
+      if (this.nearbyPages.has(pageNum)) {
+        this.cancelPageRender(pageNum);
+        this.renderedPages.delete(pageNum);
+        this.queuePageRender(pageNum);
+      } else {
+        this.releasePage(pageNum);
+      }
     }
   }
 
@@ -1761,12 +7579,74 @@ class FrontAttachmentViewer {
   updateZoomButtons() {
     const zoomInBtn = document.getElementById('front-zoom-in-btn');
     const zoomOutBtn = document.getElementById('front-zoom-out-btn');
+    const rotateLeftBtn = document.getElementById('front-rotate-left-btn');
+    const rotateRightBtn = document.getElementById('front-rotate-right-btn');
+    const canRotate = !!this.getZoomTarget() && !this.currentDocument && !this.currentFrame;
     
     if (zoomInBtn) zoomInBtn.disabled = this.zoomLevel >= this.maxZoom;
     if (zoomOutBtn) zoomOutBtn.disabled = this.zoomLevel <= this.minZoom;
+    if (rotateLeftBtn) rotateLeftBtn.disabled = !canRotate;
+    if (rotateRightBtn) rotateRightBtn.disabled = !canRotate;
+  }
+
+  getCurrentRotation() {
+    const attachment = this.getCurrentAttachment();
+    return (attachment && this.attachmentRotations.get(attachment.hash)) || 0;
+  }
+
+  getRotatedSize(width, height, rotation) {
+    return rotation % 180 === 0 ? { width, height } : { width: height, height: width };
+  }
+
+  rotate(delta) {
+    const target = this.getZoomTarget();
+    const attachment = this.getCurrentAttachment();
+    // Documents reflow rather than turn
+    if (!target || !attachment || this.currentDocument || this.currentFrame) return;
+    
+    this.attachmentRotations.set(attachment.hash, (this.getCurrentRotation() + delta + 360) % 360);
+    
+    if (target.id === 'front-pdf-container') {
+      this.relayoutRotatedPDF();
+    } else if (target.id === 'front-image-pages') {
+      const rotation = this.getCurrentRotation();
+      this.imagePages.forEach(page => this.layoutImagePage(page, rotation));
+    }
+    this.updateModeZoomLevel();
+    this.applyZoom();
+  }
+
+  relayoutRotatedPDF() {
+    const pdf = this.currentPdf;
+    if (!pdf || !this.isVirtualScrolling) return;
+    
+    const currentPage = this.currentPageNum;
+    this.pdfRenderingConfig = this.getPDFRenderingConfig();
+    this.renderQueue = [];
+    Array.from(this.renderedPages).forEach(pageNum => this.releasePage(pageNum));
+    
+    // Every step is a quarter turn, so each placeholder just swaps its sides
+    this.pagePlaceholders.forEach((pageContainer) => {
+      const { width, height } = pageContainer.style;
+      pageContainer.style.width = height;
+      pageContainer.style.height = width;
+    });
+    
+    const firstPage = this.pagePlaceholders.get(1);
+    this.teardownThumbnails();
+    this.buildThumbnails(pdf, { width: firstPage.offsetWidth, height: firstPage.offsetHeight });
+    
+    this.scrollToPDFPage(currentPage);
+    this.nearbyPages.forEach(pageNum => this.queuePageRender(pageNum));
+  }
+
+  // Rotation from the viewer is applied on top of the page's own /Rotate
+  getPageViewport(page, scale) {
+    return page.getViewport({ scale, rotation: (page.rotate + this.getCurrentRotation()) % 360 });
   }
 
   navigatePrevious() {
+    this.pauseMedia();
     if (this.currentIndex > 0 && !this.isTransitioning) {
       this.navigationDirection = 'backward';
       this.lastNavigationTime = Date.now();
@@ -1777,6 +7657,7 @@ class FrontAttachmentViewer {
   }
 
   navigateNext() {
+    this.pauseMedia();
     if (this.currentIndex < this.attachments.length - 1 && !this.isTransitioning) {
       this.navigationDirection = 'forward';
       this.lastNavigationTime = Date.now();
@@ -1856,10 +7737,28 @@ class FrontAttachmentViewer {
   }
 
   closeViewer() {
+    this.pauseMedia();
     this.overlay.classList.add('hidden');
     document.body.style.overflow = '';
     this.resetZoom();
     this.closeSearch();
+    this.hideDownloadMenu();
+    this.hideZoomMenu();
+    this.stopPanMomentum();
+    this.setSpacePan(false);
+    this.teardownPDFRendering();
+    this.teardownImagePages();
+    this.teardownTextView();
+    this.teardownTableView();
+    this.teardownDocumentView();
+    this.teardownSpreadsheetView();
+    this.teardownMediaView();
+    this.teardownFrameView();
+    this.nestedAttachments = [];
+    this.pdfFormValues.clear();
+    this.pdfPasswords.clear();
+    this.attachmentRotations.clear();
+    this.convertedImages.clear();
     
     // Fully reset search state
     const searchInput = document.getElementById('front-search-input');
@@ -1876,21 +7775,199 @@ class FrontAttachmentViewer {
   }
 
   downloadCurrentAttachment() {
-    const attachment = this.attachments[this.currentIndex];
+    const options = this.getDownloadOptions();
+    if (options.length === 0) return;
+    
+    if (options.length === 1) {
+      options[0].action();
+    } else {
+      this.toggleDownloadMenu(options);
+    }
+  }
+
+  getDownloadOptions() {
+    const attachment = this.getCurrentAttachment();
     if (!attachment || !attachment.blob) {
-      return;
+      return [];
+    }
+    
+    const options = [];
+    const rotation = this.getCurrentRotation();
+    
+    if (rotation !== 0 && this.currentPdf && !this.pdfPasswords.has(attachment.hash)) {
+      options.push({ label: 'Rotated PDF', action: () => this.downloadRotatedPDF(attachment, rotation) });
+    } else if (rotation !== 0 && this.imagePages.length > 0) {
+      options.push({ label: 'Rotated PDF', action: () => this.downloadRotatedImagePages(attachment, rotation) });
+    } else if (rotation !== 0 && document.getElementById('front-image-container')) {
+      options.push({ label: 'Rotated image', action: () => this.downloadRotatedImage(attachment, rotation) });
+    }
+    
+    if (this.hasFilledFormFields()) {
+      options.push({ label: 'Filled-in PDF', action: () => this.downloadFilledPDF(attachment) });
+    }
+    
+    const converted = this.convertedImages.get(attachment.hash);
+    if (converted) {
+      options.push({ label: 'JPEG copy', action: () => this.downloadBlob(converted, this.getDerivedFilename(attachment.filename, '', 'jpg')) });
+    }
+    
+    options.push({ label: 'Original file', action: () => this.downloadBlob(attachment.blob, attachment.filename) });
+    return options;
+  }
+
+  async downloadFilledPDF(attachment) {
+    try {
+      const data = await this.currentPdf.saveDocument();
+      const blob = new Blob([data], { type: 'application/pdf' });
+      this.downloadBlob(blob, this.getDerivedFilename(attachment.filename, 'filled'));
+    } catch (error) {
+      // Saving can fail on malformed forms; handing back the blank original would lose the input unnoticed
+      this.showDownloadError('The filled-in PDF could not be saved. Your entries are still in the form.');
+    }
+  }
+
+  async downloadRotatedPDF(attachment, rotation) {
+    try {
+      // Start from the filled-in copy so rotating doesn't throw away form input
+      const data = this.hasFilledFormFields() ?
+        await this.currentPdf.saveDocument() :
+        new Uint8Array(await attachment.blob.arrayBuffer());
+      await this.loadLibrary('pdf-lib');
+      const pdfDoc = await PDFLib.PDFDocument.load(data);
+      pdfDoc.getPages().forEach((page) => {
+        page.setRotation(PDFLib.degrees((page.getRotation().angle + rotation) % 360));
+      });
+      
+      const blob = new Blob([await pdfDoc.save()], { type: 'application/pdf' });
+      this.downloadBlob(blob, this.getDerivedFilename(attachment.filename, 'rotated'));
+    } catch (error) {
+      this.showDownloadError('The rotated PDF could not be created. The original is still available under Download.');
+    }
+  }
+
+  async downloadRotatedImage(attachment, rotation) {
+    try {
+      // Formats Chrome can't decode itself (HEIC) rotate from their converted copy
+      const source = this.convertedImages.get(attachment.hash) || attachment.blob;
+      const bitmap = await createImageBitmap(source, { imageOrientation: 'from-image' });
+      const size = this.getRotatedSize(bitmap.width, bitmap.height, rotation);
+      const canvas = document.createElement('canvas');
+      canvas.width = size.width;
+      canvas.height = size.height;
+      
+      const context = canvas.getContext('2d');
+      context.translate(size.width / 2, size.height / 2);
+      context.rotate(rotation * Math.PI / 180);
+      context.drawImage(bitmap, -bitmap.width / 2, -bitmap.height / 2);
+      bitmap.close();
+      
+      // Canvases can only encode a few formats; anything else comes out as PNG
+      const sourceType = (source === attachment.blob ? attachment.contentType : source.type).split(';')[0].trim();
+      const encodable = ['image/png', 'image/jpeg', 'image/webp'];
+      const type = encodable.includes(sourceType) ? sourceType : 'image/png';
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, type, 0.92));
+      if (!blob) throw new Error('Image encoding failed');
+      
+      let extension;
+      if (source !== attachment.blob) {
+        extension = type === 'image/jpeg' ? 'jpg' : 'png';
+      } else if (type !== sourceType) {
+        extension = 'png';
+      }
+      this.downloadBlob(blob, this.getDerivedFilename(attachment.filename, 'rotated', extension));
+    } catch (error) {
+      this.showDownloadError('The rotated image could not be created. The original is still available under Download.');
+    }
+  }
+
+  // There's no TIFF encoder on hand, so a rotated page stack comes out as a PDF with one page per frame
+  async downloadRotatedImagePages(attachment, rotation) {
+    const pages = this.imagePages;
+    try {
+      await Promise.all([this.imagePagesReady, this.loadLibrary('pdf-lib')]);
+      const pdfDoc = await PDFLib.PDFDocument.create();
+      
+      for (const page of pages) {
+        if (!page.blob) throw new Error('Page could not be decoded');
+        const image = await pdfDoc.embedPng(await page.blob.arrayBuffer());
+        
+        // Scans record their resolution, which gives the paper size; without one a pixel becomes a point
+        const scale = page.dpi ? 72 / page.dpi : 1;
+        const width = page.width * scale;
+        const height = page.height * scale;
+        const pdfPage = pdfDoc.addPage([width, height]);
+        pdfPage.drawImage(image, { x: 0, y: 0, width, height });
+        pdfPage.setRotation(PDFLib.degrees(rotation));
+      }
+      
+      const blob = new Blob([await pdfDoc.save()], { type: 'application/pdf' });
+      this.downloadBlob(blob, this.getDerivedFilename(attachment.filename, 'rotated', 'pdf'));
+    } catch (error) {
+      this.showDownloadError('The rotated pages could not be saved. The original is still available under Download.');
     }
+  }
+
+  getDerivedFilename(filename, suffix, extension) {
+    const dotIndex = filename.lastIndexOf('.');
+    const base = dotIndex > 0 ? filename.slice(0, dotIndex) : filename;
+    const originalExtension = dotIndex > 0 ? filename.slice(dotIndex + 1) : '';
+    const finalExtension = extension || originalExtension;
+    const name = suffix ? `${base} (${suffix})` : base;
+    return finalExtension ? `${name}.${finalExtension}` : name;
+  }
 
-    const url = URL.createObjectURL(attachment.blob);
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = attachment.filename;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   }
 
+  toggleDownloadMenu(options) {
+    const menu = document.getElementById('front-download-menu');
+    if (!menu) return;
+    
+    if (menu.style.display !== 'none') {
+      this.hideDownloadMenu();
+      return;
+    }
+    
+    menu.replaceChildren(...options.map((option) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'front-download-menu-item';
+      item.textContent = option.label;
+      item.addEventListener('click', () => {
+        this.hideDownloadMenu();
+        option.action();
+      });
+      return item;
+    }));
+    menu.style.display = 'flex';
+  }
+
+  hideDownloadMenu() {
+    const menu = document.getElementById('front-download-menu');
+    if (menu) menu.style.display = 'none';
+  }
+
+  // Shown under the Download button when a converted copy can't be produced
+  showDownloadError(message) {
+    const error = document.getElementById('front-download-error');
+    if (!error) return;
+    
+    error.textContent = message;
+    error.style.display = 'block';
+    clearTimeout(this.downloadErrorTimer);
+    this.downloadErrorTimer = setTimeout(() => {
+      error.style.display = 'none';
+    }, CONSTANTS.TIMING.DOWNLOAD_ERROR_TIMEOUT);
+  }
+
   rescan() {
     this.smartRescan();
     
@@ -1905,6 +7982,13 @@ class FrontAttachmentViewer {
       this.mutationObserver = null;
     }
     
+    if (this.zoomResizeObserver) {
+      this.zoomResizeObserver.disconnect();
+      this.zoomTargetObserver.disconnect();
+      this.zoomResizeObserver = null;
+      this.zoomTargetObserver = null;
+    }
+    
     if (this.scanThrottleTimeout) {
       clearTimeout(this.scanThrottleTimeout);
     }
@@ -1916,7 +8000,25 @@ class FrontAttachmentViewer {
       clearTimeout(this.pdfRenderTimeout);
     }
     
+    this.teardownPDFRendering();
+    this.teardownImagePages();
+    this.teardownTextView();
+    this.teardownTableView();
+    this.teardownDocumentView();
+    this.teardownSpreadsheetView();
+    this.teardownMediaView();
+    this.teardownFrameView();
+    if (this.pdfWorker) {
+      this.pdfWorker.destroy();
+      this.pdfWorker = null;
+    }
+    
     this.attachmentCache.clear();
+    this.conversationTextCache.clear();
+    this.pdfFormValues.clear();
+    this.pdfPasswords.clear();
+    this.attachmentRotations.clear();
+    this.convertedImages.clear();
     this.preloadCache.clear();
     this.preloadQueue = [];
     